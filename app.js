@@ -2,81 +2,779 @@ let audioCtx = null;
 let masterGain;
 let isPlaying = false;
 
+// Loopers, the tempo clock, the sensor normalization and the motion mappings live in
+// engine.js - the UI drives it and handles the mapping targets outside the engine
+const engine = GlitchBliss.createEngine({ looperSensorValues, mappingOverride, applyTarget: applyMappingTarget });
+const {
+    ParameterSmoother,
+    speedToNormalized,
+    createMapping,
+    defaultMappings,
+    SENSOR_SOURCES,
+    MAPPING_TARGETS,
+    MAPPING_CURVES,
+    PLAYBACK_SPEEDS,
+    LOOPER_MAX_SECONDS,
+    LOOPER_MAX_SECONDS_LIMIT,
+    CLOCK_LOOKAHEAD_SECONDS
+} = GlitchBliss;
+
 // Orientation values
 let xValue = 0;
 let yValue = 0;
 let rotation = 0;
 
+// Latest sensor readings normalized to 0-1 (acceleration is centered on 0.5)
+const sensorValues = engine.sensorValues;
+
 // Effect nodes (simplified)
 let compressor = null;
-let masterReverb = null;
+let masterBus = null;       // Everything headed for the output connects here
+let masterMakeup = null;    // Compressed path, also muted when bypassed
+let masterBypass = null;    // Dry path around the compressor
+let masterOutput = null;    // Feeds the destination, the session capture and the analyser
+let masterAnalyser = null;
+let masterMeterData = null;
+let masterSpectrumData = null;
+let masterOutputPeak = 0;
+
+// Master compressor/limiter. Defaults are the original hard-coded squash
+const MASTER_BYPASS_GLIDE = 0.02; // Time constant for the bypass crossfade
+let masterSettings = {
+    threshold: -20,  // dB
+    knee: 5,         // dB
+    ratio: 20,
+    attack: 0.7,     // s
+    release: 0.1,    // s
+    makeup: 0,       // dB
+    bypass: false
+};
+let masterReverb = null;   // Send bus - everything feeding the reverb connects here
 let reverbWet = null;
 let reverbDry = null;
+let reverbSlot = null;      // { convolver, gain } currently feeding reverbWet
+let reverbIR = null;        // Channels of a loaded impulse response, null for the algorithmic one
+let reverbUpdateTimer = null;
+
+// Algorithmic reverb presets. Decay and shimmer only shape the generated impulse;
+// pre-delay, damping and width apply to loaded IRs too
+const REVERB_PRESETS = {
+    wash:    { decay: 3,   preDelay: 0,     damping: 0,    width: 1,   shimmer: 0,    bloom: 0 },
+    room:    { decay: 0.8, preDelay: 0.008, damping: 0.55, width: 0.6, shimmer: 0,    bloom: 0 },
+    plate:   { decay: 2.2, preDelay: 0.002, damping: 0.2,  width: 1,   shimmer: 0,    bloom: 0 },
+    shimmer: { decay: 6,   preDelay: 0.04,  damping: 0.1,  width: 1,   shimmer: 0.35, bloom: 0.6 }
+};
+const REVERB_MAX_SECONDS = 10;          // Longest decay, and loaded IRs are trimmed to this
+const REVERB_MAX_PREDELAY = 0.25;
+const REVERB_BRIGHT_HZ = 16000;         // Damping sweeps the tail's lowpass from here...
+const REVERB_DARK_HZ = 400;             // ...towards here by the end of the impulse
+const REVERB_SHIMMER_HZ = [1046.5, 1568, 2093]; // C6, G6, C7 - an octave-up halo over the pad
+const REVERB_CROSSFADE_SECONDS = 0.4;   // Old and new convolvers overlap this long on a swap
+const REVERB_UPDATE_DELAY = 150;        // ms to wait for a control to settle before regenerating
+let reverbSettings = Object.assign({ preset: 'wash', irName: null }, REVERB_PRESETS.wash);
 
 // Chord oscillators and mixer
 let chordOscillators = null;
 let chordMixer = null;
 
-// Loopers array
-let loopers = [];
+// Mixer channel strip for the synth pad (loopers keep theirs on looper.channel)
+let padChannel = null;
 
-// Parameter smoothing class
-class ParameterSmoother {
-    constructor(initialValue, smoothingFactor = 0.1) {
-        this.currentValue = initialValue;
-        this.targetValue = initialValue;
-        this.smoothingFactor = smoothingFactor;
-    }
+// Loopers array (engine.addLooper/removeLooper keep it up to date)
+const loopers = engine.loopers;
 
-    setTarget(newValue) {
-        this.targetValue = newValue;
-    }
+// Microphone / line input
+let micStream = null;
+let micSource = null;
+let micInputGain = null;
+let micMeter = null;
+let micMonitorGain = null;
+let micMeterData = null;
 
-    step() {
-        this.currentValue += (this.targetValue - this.currentValue) * this.smoothingFactor;
-        return this.currentValue;
-    }
-}
+// Master output capture for session renders
+let sessionCapture = null;
+let isRenderingSession = false;
 
-// Discrete playback speed steps (including reverse)
-const PLAYBACK_SPEEDS = [-4, -2, -1.5, -1, -0.5, -0.25, 0.25, 0.5, 1, 1.5, 2, 4];
+// Loopers are created on demand - this many when audio starts
+const DEFAULT_LOOPER_COUNT = 4;
+const MAX_LOOPERS = 8;
 
-// Map normalized value (0-1) to discrete playback speed
-function mapToSpeed(normalizedValue) {
-    const index = Math.floor(normalizedValue * PLAYBACK_SPEEDS.length);
-    return PLAYBACK_SPEEDS[Math.min(index, PLAYBACK_SPEEDS.length - 1)];
-}
+// Loop region editing on the waveform display
+const LOOP_MIN_SECONDS = 0.05;          // Shortest region the markers can make
+const LOOP_SNAP_SECONDS = 0.01;         // How far either side to look for a zero crossing
+const LOOP_CROSSFADE_DEFAULT_MS = 10;
+const LOOP_CROSSFADE_MAX_MS = 100;
+
+// Per-looper automation of the motion-driven glitch/speed over one pass of the loop
+const AUTOMATION_TARGETS = ['glitch', 'speed'];
+const AUTOMATION_STEPS = 512;           // Points across the loop region
+const AUTOMATION_TOUCH_THRESHOLD = 0.02; // Motion change that counts as grabbing the parameter
+const AUTOMATION_TOUCH_HOLD = 500;      // ms without movement before playback takes back over
+
+// Longest session render (stereo float buffers are held in memory until encoded)
+const RENDER_MAX_SECONDS = 120;
 
 // Create smoothers for each looper parameter
 let parameterSmoothers = {};
 
+// Session persistence (IndexedDB)
+const SESSION_DB_NAME = 'glitch-bliss';
+const SESSION_STORE = 'sessions';
+const AUTOSAVE_INTERVAL = 30000; // ms
+const AUTOSAVE_SESSION_NAME = 'autosave';
+let sessionDb = null;
+let autosaveTimer = null;
+
+// Web MIDI - learnable input bindings and orientation sent out as CCs
+const MIDI_BINDINGS_KEY = 'glitch-bliss-midi-bindings';
+const MIDI_TRANSPORT_COMMANDS = ['record', 'play', 'stop', 'clear', 'overdub'];
+let midiAccess = null;
+let midiOutput = null;
+let midiBindings = [];
+let midiLearnAction = null;     // Action waiting for the next incoming note/CC
+let midiTargetValues = {};      // 'looper:target' → 0-1, overrides the motion mapping
+let midiSentValues = {};        // Last CC value sent per axis, so we only send changes
+let midiHeld = {};              // 'type:channel:number' → note down / CC at 64 or above
+let midiOutputSettings = { channel: 0, gamma: 16, beta: 17, alpha: 18 };
+
+// Sensor simulator and gesture recording/playback
+const SIMULATOR_KEY_STEP = 5;       // Degrees per arrow key press
+const SENSOR_FALLBACK_DELAY = 1500; // ms to wait for a real sensor before opening the simulator
+let simOrientation = { alpha: 0, beta: 0, gamma: 0 };
+let liveSensorsSeen = false;
+let gestureRecording = null;        // { startTime, events } while recording
+let recordedGesture = null;         // Last recorded or loaded gesture
+let gesturePlayback = null;         // { startTime, index, loop, frame } while playing
+
+// Motion triggers - one-shot gestures detected on top of the continuous mapping.
+// Thresholds slide between the two ends as sensitivity goes 0 → 1
+const TRIGGER_GESTURES = {
+    shake: 'SHAKE',
+    flip: 'FACE DOWN',
+    twist: 'TWIST',
+    doubleTap: 'DOUBLE TAP'
+};
+const TRIGGER_ACTIONS = {
+    none: '-',
+    recordNext: 'REC NEXT LOOPER',
+    stopAll: 'STOP ALL',
+    playAll: 'PLAY ALL',
+    freezeGlitch: 'FREEZE GLITCH',
+    randomizeSpeeds: 'RANDOM SPEEDS',
+    resetSpeeds: 'MOTION SPEEDS'
+};
+const TRIGGER_THRESHOLDS = {
+    shake: [25, 8],         // m/s² peaks, needs SHAKE_PEAKS alternating peaks
+    flip: [170, 135],       // |beta| degrees to count as face down
+    twist: [720, 240],      // alpha degrees per second
+    doubleTap: [12, 4]      // m/s² jump between successive motion events
+};
+const TRIGGER_SETTINGS_KEY = 'glitch-bliss-motion-triggers';
+const TRIGGER_COOLDOWN = 800;       // ms before the same gesture can fire again
+const SHAKE_PEAKS = 4;
+const SHAKE_WINDOW = 800;           // ms
+const TAP_MIN_GAP = 100;            // ms - closer spikes are one tap
+const TAP_MAX_GAP = 500;            // ms - further apart isn't a double tap
+const FLIP_REARM_ANGLE = 90;        // Face down re-arms once the phone comes back past this
+let triggerSettings = defaultTriggerSettings();
+let triggerState = {
+    gravity: null,          // Low-passed acceleration, subtracted to get movement alone
+    shakePeaks: [],         // Times of recent direction changes
+    lastShakeSign: 0,
+    lastMagnitude: null,
+    tapTimes: [],
+    flipped: false,         // Face down - waits for FLIP_REARM_ANGLE before firing again
+    lastAlpha: null,        // { alpha, time } of the previous orientation event
+    lastFired: {}           // gesture → time, for the cooldown
+};
+
+// Motion → parameter mapping presets (the mappings themselves are engine.mappings)
+const MAPPING_PRESETS_KEY = 'glitch-bliss-mapping-presets';
+
+// Per-looper insert effects: waveshaper → resonant filter → tempo-synced delay
+const FILTER_TYPES = { lowpass: 'LP', highpass: 'HP', bandpass: 'BP' };
+const DELAY_DIVISIONS = {       // Fraction of a beat
+    '1/4': 1,
+    '1/8': 0.5,
+    '1/8d': 0.75,
+    '1/16': 0.25,
+    '1/4t': 2 / 3,
+    '1/8t': 1 / 3
+};
+const DELAY_MAX_SECONDS = 4;
+const DELAY_MAX_FEEDBACK = 0.9; // Keep the feedback loop from running away
+const DRIVE_CURVE_SAMPLES = 2048;
+
+// Manual settings for each effect - mapped targets fall back to these when nothing drives them
+function defaultLooperFx() {
+    return {
+        filterType: 'lowpass',
+        filterCutoff: 1,
+        filterResonance: 0,
+        delayDivision: '1/8',
+        delayMix: 0,
+        delayFeedback: 0.35,
+        drive: 0
+    };
+}
+
+// The continuous effect levels (the rest are switches)
+const LOOPER_FX_LEVELS = ['filterCutoff', 'filterResonance', 'delayMix', 'delayFeedback', 'drive'];
+
+// Global tempo clock - transport actions are queued to the next beat/bar so loops stay phase-locked
+const clock = engine.clock;
+
+// Multi-device jam over jam-relay.js. The host makes the sound and owns the clock;
+// players follow its clock and stream their orientation to drive one of its loopers
+const JAM_SETTINGS_KEY = 'glitch-bliss-jam';
+const JAM_PING_INTERVAL = 2000;     // ms between clock syncs
+const JAM_SEND_INTERVAL = 33;       // ms - players stream sensors at ~30/s
+const JAM_SENSOR_TIMEOUT = 3000;    // ms - a silent player's looper goes back to local motion
+const JAM_OFFSET_SMOOTHING = 0.3;   // Weight of each new clock offset measurement
+let jamSettings = defaultJamSettings();
+let jam = {
+    socket: null,
+    role: 'host',           // 'host' | 'player'
+    id: null,               // Our id on the relay
+    peers: [],              // { id, name, role } of everyone in the room
+    hostId: null,           // Players: who we follow
+    rtt: null,              // Players: smoothed round trip to the host, ms
+    offset: null,           // Players: host audio time minus ours, seconds
+    latency: 0,             // Players: output latency difference compensated in the clock, seconds
+    looper: null,           // Players: the host looper we drive
+    lastSent: 0,
+    pingTimer: null,
+    assignments: {},        // Host: player id → looper index
+    remote: {}              // Host: player id → { values, time, rtt, offset, latency }
+};
+
+// Scene snapshots of the whole mix - recalled now or on the next bar, or morphed
+// between with the A/B crossfader (which can follow a tilt axis)
+const SCENE_SLOTS = 8;
+const SCENE_MORPH_EPSILON = 0.001;  // Smaller morph moves aren't worth re-applying
+let scenes = new Array(SCENE_SLOTS).fill(null);
+let sceneRecallMode = 'now';        // 'now' | 'bar'
+let sceneStoreArmed = false;
+let scenePending = null;            // { slot, timer } while waiting for the next bar
+let sceneCurrent = null;            // Slot last recalled
+let sceneMorph = {
+    a: 0,
+    b: 1,
+    source: 'manual',               // 'manual' or a SENSOR_SOURCES key
+    smoother: new ParameterSmoother(0, 0.1),
+    active: false,                  // Set by moving the crossfader, cleared by a recall
+    applied: null,                  // Morph position last pushed into the mix
+    side: null                      // 'a' | 'b' - whose play states and switches are in force
+};
+
+// Installable/offline app and the fullscreen performance layout
+const PERFORM_SCENE_KEYS = ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI'];
+let installPrompt = null;           // Deferred beforeinstallprompt event
+let offlineReady = false;           // Service worker active with everything cached
+let performanceMode = false;
+let wakeLock = null;
+
 const startButton = document.getElementById("startButton");
 const reverbSlider = document.getElementById("reverbSlider");
 const reverbValueDisplay = document.getElementById("reverbValue");
+const bpmInput = document.getElementById("bpmInput");
+const timeSignatureSelect = document.getElementById("timeSignatureSelect");
+const quantizeSelect = document.getElementById("quantizeSelect");
+const tempoFromLoopToggle = document.getElementById("tempoFromLoopToggle");
+const clockPositionDisplay = document.getElementById("clockPosition");
+const renderLengthInput = document.getElementById("renderLengthInput");
+const renderButton = document.getElementById("renderButton");
+const renderStatusDisplay = document.getElementById("renderStatus");
+const micButton = document.getElementById("micButton");
+const micGainSlider = document.getElementById("micGainSlider");
+const micGainDisplay = document.getElementById("micGainValue");
+const micMonitorToggle = document.getElementById("micMonitorToggle");
+const micLevelBar = document.getElementById("micLevel");
 
-// Allow localhost and local network IPs to use HTTP for development
+// Motion sensors, the service worker and wake lock all need a secure context. The
+// browser already treats localhost as one; plain http moves to https, except on local
+// network IPs (jam-relay.js serves plain http for development)
 const isLocal = location.hostname === "localhost" ||
                 location.hostname === "127.0.0.1" ||
                 location.hostname.startsWith("192.168.") ||
                 location.hostname.startsWith("10.") ||
                 location.hostname.startsWith("172.");
 
-if (location.protocol != "https:" && !isLocal) {
-  location.href = "https:" + window.location.href.substring(window.location.protocol.length);
+if (!window.isSecureContext && location.protocol === "http:" && !isLocal) {
+    location.replace("https:" + window.location.href.substring(window.location.protocol.length));
+}
+
+// Mapping targets outside the engine (it drives glitch and speed) - the mapped value,
+// or the resting value when nothing maps to the target
+function applyMappingTarget(looper, target, value) {
+    const smoothers = parameterSmoothers[`looper${looper.index}`];
+
+    switch (target) {
+        case 'volume':
+            smoothers.volume.setTarget(value === null ? 1 : value);
+            break;
+        case 'reverbSend':
+            // Motion scales the channel's mixer send; unmapped it leaves the send as set
+            smoothers.reverbSend.setTarget(value === null ? 1 : value);
+            break;
+        case 'filterCutoff':
+        case 'filterResonance':
+        case 'delayMix':
+        case 'delayFeedback':
+        case 'drive':
+            smoothers[target].setTarget(value === null ? looper.fx[target] : value);
+            break;
+    }
+}
+
+// A MIDI-bound controller takes over the target from the motion mapping, and recorded
+// automation stands in for motion until the phone is moved in TOUCH mode
+function mappingOverride(looper, target, value) {
+    const midiValue = midiTargetValues[`${looper.index}:${target}`];
+    if (midiValue !== undefined) return midiValue;
+
+    const automated = automationValue(looper, target, value);
+    return automated !== null ? automated : value;
+}
+
+function handleOrientation(event) {
+    if (event.alpha === null && event.beta === null && event.gamma === null) return;
+    if (event.isTrusted) liveSensorsSeen = true;
+
+    // While a recorded gesture plays back, ignore everything else so the replay is exact
+    if (gesturePlayback && !event.fromGesturePlayback) return;
+    recordGestureEvent({ type: 'orientation', alpha: event.alpha, beta: event.beta, gamma: event.gamma });
+
+    xValue = Math.round(event.gamma);
+    yValue = Math.round(event.beta);
+    rotation = Math.round(event.alpha);
+
+    document.getElementById("doTiltLR").innerHTML = Math.round(xValue);
+    document.getElementById("doTiltFB").innerHTML = Math.round(yValue);
+    document.getElementById("doDirection").innerHTML = Math.round(rotation);
+
+    engine.setOrientation(event);
+
+    detectOrientationTriggers(event);
+    followSceneMorphSource();
+    sendOrientationCCs();
+    sendJamSensors();
+}
+
+function handleMotion(event) {
+    // Prefer acceleration without gravity; some devices only report the gravity version
+    const accel = event.acceleration && event.acceleration.x !== null
+        ? event.acceleration
+        : event.accelerationIncludingGravity;
+    if (!accel || accel.x === null) return;
+
+    if (gesturePlayback && !event.fromGesturePlayback) return;
+    recordGestureEvent({ type: 'motion', x: accel.x, y: accel.y, z: accel.z });
+
+    engine.setMotion(accel);
+
+    detectMotionTriggers(accel);
+    followSceneMorphSource();
+    sendJamSensors();
+}
+
+function defaultTriggerSettings() {
+    return {
+        shake: { action: 'stopAll', sensitivity: 0.5 },
+        flip: { action: 'freezeGlitch', sensitivity: 0.5 },
+        twist: { action: 'randomizeSpeeds', sensitivity: 0.5 },
+        doubleTap: { action: 'recordNext', sensitivity: 0.5 }
+    };
+}
+
+function triggerThreshold(gesture) {
+    const [low, high] = TRIGGER_THRESHOLDS[gesture];
+    return low + (high - low) * triggerSettings[gesture].sensitivity;
+}
+
+// Shake and double-tap come from devicemotion. Gravity is tracked with a slow low-pass
+// and removed, so devices that only report accelerationIncludingGravity work too
+function detectMotionTriggers(accel) {
+    const now = performance.now();
+    const gravity = triggerState.gravity || { x: accel.x, y: accel.y, z: accel.z };
+    ['x', 'y', 'z'].forEach(axis => gravity[axis] += (accel[axis] - gravity[axis]) * 0.1);
+    triggerState.gravity = gravity;
+
+    const linear = { x: accel.x - gravity.x, y: accel.y - gravity.y, z: accel.z - gravity.z };
+    const magnitude = Math.sqrt(linear.x * linear.x + linear.y * linear.y + linear.z * linear.z);
+
+    // Shake: strong peaks that keep changing direction along the dominant axis
+    const dominant = ['x', 'y', 'z'].reduce((best, axis) => Math.abs(linear[axis]) > Math.abs(linear[best]) ? axis : best, 'x');
+    triggerState.shakePeaks = triggerState.shakePeaks.filter(t => now - t < SHAKE_WINDOW);
+    if (Math.abs(linear[dominant]) > triggerThreshold('shake')) {
+        const sign = Math.sign(linear[dominant]);
+        if (sign !== triggerState.lastShakeSign) {
+            triggerState.shakePeaks.push(now);
+            triggerState.lastShakeSign = sign;
+        }
+        if (triggerState.shakePeaks.length >= SHAKE_PEAKS) {
+            triggerState.shakePeaks = [];
+            fireTrigger('shake');
+        }
+    }
+
+    // Double tap: two sudden jumps in a short space, but not in the middle of a shake
+    if (triggerState.lastMagnitude !== null
+        && Math.abs(magnitude - triggerState.lastMagnitude) > triggerThreshold('doubleTap')) {
+        const lastTap = triggerState.tapTimes[triggerState.tapTimes.length - 1];
+        if (lastTap === undefined || now - lastTap > TAP_MIN_GAP) {
+            triggerState.tapTimes = triggerState.tapTimes.filter(t => now - t < TAP_MAX_GAP);
+            triggerState.tapTimes.push(now);
+            if (triggerState.tapTimes.length >= 2 && triggerState.shakePeaks.length < 2) {
+                triggerState.tapTimes = [];
+                fireTrigger('doubleTap');
+            }
+        }
+    }
+    triggerState.lastMagnitude = magnitude;
+}
+
+// Face-down flip and sharp twist come from deviceorientation, so the simulator and
+// recorded gestures can fire them too
+function detectOrientationTriggers(event) {
+    const now = performance.now();
+
+    const tilt = Math.abs(event.beta);
+    if (!triggerState.flipped && tilt > triggerThreshold('flip')) {
+        triggerState.flipped = true;
+        fireTrigger('flip');
+    } else if (triggerState.flipped && tilt < FLIP_REARM_ANGLE) {
+        triggerState.flipped = false;
+    }
+
+    const last = triggerState.lastAlpha;
+    if (last) {
+        const delta = ((event.alpha - last.alpha + 540) % 360) - 180; // Shortest way round
+        const seconds = (now - last.time) / 1000;
+        if (seconds > 0 && seconds < 0.25 && Math.abs(delta) / seconds > triggerThreshold('twist')) {
+            fireTrigger('twist');
+        }
+    }
+    triggerState.lastAlpha = { alpha: event.alpha, time: now };
+}
+
+function fireTrigger(gesture) {
+    const now = performance.now();
+    if (now - (triggerState.lastFired[gesture] || 0) < TRIGGER_COOLDOWN) return;
+    triggerState.lastFired[gesture] = now;
+
+    const action = triggerSettings[gesture].action;
+    console.log(`Motion trigger: ${gesture} → ${action}`);
+    flashTriggerRow(gesture);
+    runTriggerAction(action);
+}
+
+// REC NEXT closes whatever is recording (it starts playing) and arms the next empty looper
+function recordNextLooper() {
+    const recording = loopers.find(looper => looper.isRecording);
+    let from = 0;
+    if (recording) {
+        startPlayback(recording.index);
+        from = recording.index + 1;
+    }
+    const next = loopers.slice(from).find(looper => looper.recordedLength === 0 && !looper.isRecording);
+    if (next) {
+        startRecording(next.index);
+    } else {
+        console.log("No empty looper to record into");
+    }
+}
+
+function runTriggerAction(action) {
+    if (loopers.length === 0) return;
+
+    switch (action) {
+        case 'recordNext':
+            recordNextLooper();
+            break;
+        case 'stopAll':
+            loopers.forEach(looper => stopLooper(looper.index));
+            break;
+        case 'playAll':
+            loopers.forEach(looper => {
+                if (looper.recordedLength > 0 && !looper.isPlaying) startPlayback(looper.index);
+            });
+            break;
+        case 'freezeGlitch':
+            engine.glitchFrozen = !engine.glitchFrozen;
+            engine.applyMappings();
+            break;
+        case 'randomizeSpeeds':
+            loopers.forEach(looper => {
+                looper.speedOverride = PLAYBACK_SPEEDS[Math.floor(Math.random() * PLAYBACK_SPEEDS.length)];
+            });
+            engine.applyMappings();
+            break;
+        case 'resetSpeeds':
+            loopers.forEach(looper => looper.speedOverride = null);
+            engine.applyMappings();
+            break;
+    }
+    updateTriggerStatus();
+}
+
+function loadTriggerSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TRIGGER_SETTINGS_KEY));
+        if (saved) Object.keys(TRIGGER_GESTURES).forEach(gesture => Object.assign(triggerSettings[gesture], saved[gesture]));
+    } catch (err) {
+        console.error("Couldn't read motion trigger settings:", err);
+    }
+}
+
+function saveTriggerSettings() {
+    localStorage.setItem(TRIGGER_SETTINGS_KEY, JSON.stringify(triggerSettings));
+}
+
+// Gesture recording - every sensor event (live or simulated) is stored with its time offset
+function recordGestureEvent(event) {
+    if (!gestureRecording) return;
+    event.t = Math.round(performance.now() - gestureRecording.startTime);
+    gestureRecording.events.push(event);
+}
+
+function startGestureRecording() {
+    stopGesturePlayback();
+    gestureRecording = { startTime: performance.now(), events: [] };
+    console.log("Gesture recording started");
+}
+
+function stopGestureRecording() {
+    if (!gestureRecording) return;
+    recordedGesture = { version: 1, events: gestureRecording.events };
+    gestureRecording = null;
+    console.log(`Gesture recorded (${recordedGesture.events.length} events)`);
+}
+
+// Feed one recorded event through the same handlers as the real sensors
+function dispatchGestureEvent(event) {
+    if (event.type === 'orientation') {
+        handleOrientation({ alpha: event.alpha, beta: event.beta, gamma: event.gamma, fromGesturePlayback: true });
+    } else if (event.type === 'motion') {
+        handleMotion({ acceleration: { x: event.x, y: event.y, z: event.z }, fromGesturePlayback: true });
+    }
+}
+
+function playGesture(gesture, loop) {
+    stopGestureRecording();
+    stopGesturePlayback();
+    if (!gesture || gesture.events.length === 0) return;
+
+    gesturePlayback = { gesture, startTime: performance.now(), index: 0, loop, frame: null };
+
+    const tick = () => {
+        const playback = gesturePlayback;
+        if (!playback) return;
+
+        const elapsed = performance.now() - playback.startTime;
+        const events = playback.gesture.events;
+        while (playback.index < events.length && events[playback.index].t <= elapsed) {
+            dispatchGestureEvent(events[playback.index]);
+            playback.index++;
+        }
+
+        if (playback.index >= events.length) {
+            if (!playback.loop) {
+                stopGesturePlayback();
+                return;
+            }
+            playback.startTime = performance.now();
+            playback.index = 0;
+        }
+        playback.frame = requestAnimationFrame(tick);
+    };
+
+    console.log(`Playing gesture (${gesture.events.length} events${loop ? ', looped' : ''})`);
+    tick();
+}
+
+function stopGesturePlayback() {
+    if (!gesturePlayback) return;
+    cancelAnimationFrame(gesturePlayback.frame);
+    gesturePlayback = null;
+    updateGestureUI();
+    console.log("Gesture playback stopped");
+}
+
+function parseGesture(text) {
+    const gesture = JSON.parse(text);
+    if (!gesture || !Array.isArray(gesture.events)) {
+        throw new Error("Not a gesture file");
+    }
+    gesture.events.sort((a, b) => a.t - b.t);
+    return gesture;
+}
+
+// Mapping presets live in localStorage as { name: mappings[] }
+function loadMappingPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(MAPPING_PRESETS_KEY)) || {};
+    } catch (err) {
+        console.error("Couldn't read mapping presets:", err);
+        return {};
+    }
+}
+
+function saveMappingPreset(name) {
+    const presets = loadMappingPresets();
+    presets[name] = engine.mappings;
+    localStorage.setItem(MAPPING_PRESETS_KEY, JSON.stringify(presets));
+    console.log(`Saved mapping preset "${name}"`);
+}
+
+function deleteMappingPreset(name) {
+    const presets = loadMappingPresets();
+    delete presets[name];
+    localStorage.setItem(MAPPING_PRESETS_KEY, JSON.stringify(presets));
+    console.log(`Deleted mapping preset "${name}"`);
+}
+
+function applyMappingPreset(name) {
+    if (name === 'default') {
+        engine.mappings = defaultMappings();
+    } else {
+        const preset = loadMappingPresets()[name];
+        if (!preset) return;
+        engine.mappings = preset.map(m => Object.assign(createMapping(m.source, m.target, m.looper), m));
+    }
+    renderMappingMatrix();
+    engine.applyMappings();
+    console.log(`Loaded mapping preset "${name}"`);
+}
+
+function updateClockDisplay() {
+    if (!clock.tempoLocked) {
+        clockPositionDisplay.textContent = clock.tempoFromFirstLoop ? 'WAITING FOR LOOP' : '--';
+        return;
+    }
+
+    const beats = Math.max(0, Math.floor((audioCtx.currentTime - clock.startTime) / engine.secondsPerBeat()));
+    const bar = Math.floor(beats / clock.beatsPerBar) + 1;
+    const beat = (beats % clock.beatsPerBar) + 1;
+    clockPositionDisplay.textContent = `${bar}.${beat}`;
 }
 
-// Gm7 chord frequencies
-const GM7_CHORD = {
-    G: 196,      // Root
-    Bb: 233.08,  // Minor 3rd
-    D: 293.66,   // Perfect 5th
-    F: 349.23    // Minor 7th
+// Harmony engine - chord built from root + quality + voicing, played by four
+// always-running oscillators that glide between chords
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const NOTE_ALIASES = { 'Db': 1, 'D#': 3, 'Gb': 6, 'G#': 8, 'A#': 10 };
+
+// Semitones above the root
+const CHORD_QUALITIES = {
+    'maj': [0, 4, 7],
+    'm': [0, 3, 7],
+    '6': [0, 4, 7, 9],
+    'm6': [0, 3, 7, 9],
+    '7': [0, 4, 7, 10],
+    'maj7': [0, 4, 7, 11],
+    'm7': [0, 3, 7, 10],
+    'm7b5': [0, 3, 6, 10],
+    'dim7': [0, 3, 6, 9],
+    'add9': [0, 4, 7, 14],
+    'maj9': [0, 4, 7, 11, 14],
+    'm9': [0, 3, 7, 10, 14],
+    'sus2': [0, 2, 7],
+    'sus4': [0, 5, 7]
+};
+
+const CHORD_VOICINGS = ['close', 'open', 'drop2', 'spread'];
+
+// Brighter waveforms are much louder than a sine - balance them at the chord mixer
+const WAVEFORM_LEVELS = { sine: 1, triangle: 0.9, sawtooth: 0.35, square: 0.3 };
+
+// Each voice keeps its own slow LFO swell whatever note it's playing
+const HARMONY_VOICES = [
+    { lfoRate: 0.11, lfoDepth: 0.4 },
+    { lfoRate: 0.17, lfoDepth: 0.5 },
+    { lfoRate: 0.13, lfoDepth: 0.6 },
+    { lfoRate: 0.19, lfoDepth: 0.45 }
+];
+
+let harmony = {
+    root: 'G',
+    quality: 'm7',
+    voicing: 'close',
+    octave: 3,
+    waveform: 'sine',
+    detune: 0,       // Cents, alternately up/down per voice
+    glide: 2         // Seconds to slide between chords
+};
+
+// Chord progression sequencer
+let progression = {
+    steps: [],
+    stepIndex: 0,
+    running: false,
+    unit: 'bars',    // 'bars' follows the clock, 'seconds' is a free timer
+    interval: 2,
+    nextChangeTime: 0
 };
 
+// "Ebmaj7" → { root: 'Eb', quality: 'maj7' }, or null if it isn't a chord we know
+function parseChordName(name) {
+    const match = /^([A-G])(#|b)?(.*)$/.exec(name.trim());
+    if (!match) return null;
+
+    const root = match[1] + (match[2] || '');
+    const quality = match[3] === '' ? 'maj' : match[3];
+    if (noteIndex(root) === undefined || !CHORD_QUALITIES[quality]) return null;
+
+    return { root, quality };
+}
+
+function noteIndex(root) {
+    const index = NOTE_NAMES.indexOf(root);
+    return index >= 0 ? index : NOTE_ALIASES[root];
+}
+
+function chordLabel(chord) {
+    return chord.root + (chord.quality === 'maj' ? '' : chord.quality);
+}
+
+// Fit a chord to the four voices and apply the voicing. Extended chords drop the
+// fifth; triads double the root an octave up
+function voiceChord(quality, voicing) {
+    let notes = CHORD_QUALITIES[quality].slice();
+    if (notes.length > HARMONY_VOICES.length) {
+        notes = notes.filter(n => n !== 7);
+    }
+    const chordTones = notes.slice();
+    for (let i = 0; notes.length < HARMONY_VOICES.length; i++) {
+        notes.push(chordTones[i % chordTones.length] + 12);
+    }
+
+    switch (voicing) {
+        case 'open':
+            notes[1] += 12;
+            break;
+        case 'drop2':
+            notes[notes.length - 2] -= 12;
+            break;
+        case 'spread':
+            notes[0] -= 12;
+            notes[2] += 12;
+            break;
+    }
+
+    return notes.sort((a, b) => a - b);
+}
+
+function chordFrequencies(chord) {
+    const rootMidi = 12 * (harmony.octave + 1) + noteIndex(chord.root);
+    return voiceChord(chord.quality, harmony.voicing).map(semitones =>
+        440 * Math.pow(2, (rootMidi + semitones - 69) / 12)
+    );
+}
+
 // Create a single oscillator with LFO volume modulation
 function createOscillatorWithLFO(frequency, lfoRate, lfoDepth) {
     const osc = audioCtx.createOscillator();
-    osc.type = 'sine';
+    osc.type = harmony.waveform;
     osc.frequency.value = frequency;
 
     const oscGain = audioCtx.createGain();
@@ -106,463 +804,3672 @@ function createOscillatorWithLFO(frequency, lfoRate, lfoDepth) {
     return { osc, oscGain, lfo, lfoGain };
 }
 
-// Create all 4 Gm7 chord oscillators with independent LFO swells
+// Create the 4 chord voices with independent LFO swells
 function createChordOscillators() {
     const chordMixer = audioCtx.createGain();
-    chordMixer.gain.value = 1.0;
+    chordMixer.gain.value = WAVEFORM_LEVELS[harmony.waveform];
 
     const oscillators = [];
-    const notes = [
-        { name: 'G', freq: GM7_CHORD.G, lfoRate: 0.11, lfoDepth: 0.4 },
-        { name: 'Bb', freq: GM7_CHORD.Bb, lfoRate: 0.17, lfoDepth: 0.5 },
-        { name: 'D', freq: GM7_CHORD.D, lfoRate: 0.13, lfoDepth: 0.6 },
-        { name: 'F', freq: GM7_CHORD.F, lfoRate: 0.19, lfoDepth: 0.45 }
-    ];
+    const frequencies = chordFrequencies(harmony);
 
-    notes.forEach(note => {
-        const oscObj = createOscillatorWithLFO(note.freq, note.lfoRate, note.lfoDepth);
+    HARMONY_VOICES.forEach((voice, index) => {
+        const oscObj = createOscillatorWithLFO(frequencies[index], voice.lfoRate, voice.lfoDepth);
+        oscObj.osc.detune.value = (index % 2 === 0 ? 1 : -1) * harmony.detune;
         oscObj.oscGain.connect(chordMixer);
         oscillators.push(oscObj);
-        console.log(`Created ${note.name} oscillator at ${note.freq}Hz with LFO rate ${note.lfoRate}Hz`);
     });
 
+    console.log(`Created ${chordLabel(harmony)} chord voices at ${frequencies.map(f => f.toFixed(2)).join(', ')}Hz`);
+
     return { oscillators, chordMixer };
 }
 
-// Looper implementation
-function createLooper(index, sourceNode) {
-    const looper = {
-        index: index,
-        // Recording
-        scriptProcessor: null,
-        recordBuffer: null,
-        recordBufferData: null,
-        writePosition: 0,
-        recordedLength: 0,
-        // Playback
-        bufferSource: null,
-        playbackGain: null,
-        isRecording: false,
-        isPlaying: false,
-        // Glitch parameters
-        glitchIntensity: 0,
-        playbackRate: 1,
-        targetPlaybackRate: 1, // Discrete speed target
-        stutterRate: 0,
-        feedbackAmount: 0
-    };
+// Glide the running voices to a new chord, starting at `when` (defaults to now)
+function setChord(chord, when) {
+    harmony.root = chord.root;
+    harmony.quality = chord.quality;
+    document.getElementById('chordTitle').textContent = `${chordLabel(chord)} ambien looooper`;
 
-    // Setup recording buffer (30 seconds max)
-    const bufferLength = audioCtx.sampleRate * 30;
-    looper.recordBuffer = audioCtx.createBuffer(1, bufferLength, audioCtx.sampleRate);
-    looper.recordBufferData = looper.recordBuffer.getChannelData(0);
-
-    // Setup ScriptProcessor for recording
-    looper.scriptProcessor = audioCtx.createScriptProcessor(4096, 1, 1);
-    looper.scriptProcessor.onaudioprocess = (e) => {
-        if (!looper.isRecording) return;
-        const input = e.inputBuffer.getChannelData(0);
-        const remaining = bufferLength - looper.writePosition;
-        if (remaining <= 0) {
-            stopRecording(index);
-            return;
-        }
-        const copyLength = Math.min(input.length, remaining);
-        for (let i = 0; i < copyLength; i++) {
-            looper.recordBufferData[looper.writePosition++] = input[i];
-        }
-        looper.recordedLength = looper.writePosition;
-    };
+    if (!chordOscillators) return;
 
-    // Connect for recording
-    sourceNode.connect(looper.scriptProcessor);
-    looper.scriptProcessor.connect(audioCtx.destination);
+    const start = when === undefined ? audioCtx.currentTime : when;
+    const timeConstant = Math.max(0.001, harmony.glide / 3); // ~95% of the way after `glide` seconds
+    chordFrequencies(chord).forEach((frequency, index) => {
+        const param = chordOscillators[index].osc.frequency;
+        param.cancelScheduledValues(start);
+        param.setTargetAtTime(frequency, start, timeConstant);
+    });
 
-    // Setup playback gain
-    looper.playbackGain = audioCtx.createGain();
-    looper.playbackGain.gain.value = 1.0;
+    console.log(`Chord → ${chordLabel(chord)}`);
+}
 
-    return looper;
+function setWaveform(waveform) {
+    harmony.waveform = waveform;
+    if (!chordOscillators) return;
+    chordOscillators.forEach(voice => voice.osc.type = waveform);
+    chordMixer.gain.setTargetAtTime(WAVEFORM_LEVELS[waveform], audioCtx.currentTime, 0.05);
 }
 
-function startRecording(looperIndex) {
-    const looper = loopers[looperIndex];
-    if (looper.isPlaying) stopPlayback(looperIndex);
+function setDetune(cents) {
+    harmony.detune = cents;
+    if (!chordOscillators) return;
+    chordOscillators.forEach((voice, index) => {
+        voice.osc.detune.setTargetAtTime((index % 2 === 0 ? 1 : -1) * cents, audioCtx.currentTime, 0.05);
+    });
+}
 
-    looper.writePosition = 0;
-    looper.recordedLength = 0;
-    looper.isRecording = true;
+function progressionStepSeconds() {
+    return progression.unit === 'bars' ? progression.interval * engine.secondsPerBar() : progression.interval;
+}
 
-    console.log(`Looper ${looperIndex} started recording`);
+function startProgression(text) {
+    const steps = text.split(/[\s,]+/).filter(Boolean).map(parseChordName);
+    if (steps.length === 0 || steps.includes(null)) {
+        alert("Couldn't read that progression - try something like: Gm7 Ebmaj7 Cm9 D7");
+        return false;
+    }
+
+    progression.steps = steps;
+    progression.stepIndex = 0;
+    progression.running = true;
 
-    // Update UI
-    updateLooperUI(looperIndex, 'recording');
+    // In bar mode the first change lands on the next bar line, whatever the quantize setting
+    const barTime = progression.unit === 'bars' && clock.tempoLocked
+        ? engine.nextBoundaryTime(engine.secondsPerBar())
+        : null;
+    progression.nextChangeTime = barTime !== null ? barTime : audioCtx.currentTime;
+    console.log(`Progression started: ${steps.map(chordLabel).join(' → ')}`);
+    return true;
 }
 
-function stopRecording(looperIndex) {
-    const looper = loopers[looperIndex];
-    looper.isRecording = false;
+function stopProgression() {
+    progression.running = false;
+    console.log("Progression stopped");
+}
 
-    console.log(`Looper ${looperIndex} stopped recording (${looper.recordedLength} samples)`);
+// Called every frame - schedules the next chord change a little ahead so it lands exactly
+function updateProgression() {
+    if (!progression.running || !chordOscillators) return;
 
-    // Update UI
-    updateLooperUI(looperIndex, 'stopped');
+    if (audioCtx.currentTime + CLOCK_LOOKAHEAD_SECONDS >= progression.nextChangeTime) {
+        setChord(progression.steps[progression.stepIndex], progression.nextChangeTime);
+        progression.stepIndex = (progression.stepIndex + 1) % progression.steps.length;
+        progression.nextChangeTime += progressionStepSeconds();
+    }
 }
 
-function startPlayback(looperIndex) {
-    const looper = loopers[looperIndex];
-    if (looper.isRecording) stopRecording(looperIndex);
-    if (looper.recordedLength === 0) {
-        console.log(`Looper ${looperIndex} has no recorded content`);
-        return;
-    }
+// The engine owns the looper worklet and its transport; the UI adds the input choice,
+// region editing, automation and the insert effects → channel strip chain
+function createLooper(sourceNode) {
+    const looper = engine.addLooper(sourceNode);
+    Object.assign(looper, {
+        // Recording source: 'pad', 'mic' or 'looper-N'
+        inputSource: 'pad',
+        automation: createAutomation(),
+        // How the playback region's edges are set
+        crossfadeMs: LOOP_CROSSFADE_DEFAULT_MS,
+        snapToZero: true,
+        waveformPeaks: null   // Cached min/max columns for the waveform canvas
+    });
 
-    // Create buffer source from recorded data
-    looper.bufferSource = audioCtx.createBufferSource();
+    // Setup playback filter, gain and reverb send
+    looper.fx = defaultLooperFx();
 
-    // Create new buffer with exact recorded length
-    const playBuffer = audioCtx.createBuffer(
-        1,
-        looper.recordedLength,
-        audioCtx.sampleRate
-    );
-    const playData = playBuffer.getChannelData(0);
-    for (let i = 0; i < looper.recordedLength; i++) {
-        playData[i] = looper.recordBufferData[i];
-    }
+    looper.filter = audioCtx.createBiquadFilter();
+    looper.filter.type = looper.fx.filterType;
+    looper.filter.frequency.value = 20000;
 
-    looper.bufferSource.buffer = playBuffer;
-    looper.bufferSource.loop = true;
-    looper.bufferSource.playbackRate.value = looper.targetPlaybackRate;
+    looper.shaper = audioCtx.createWaveShaper();
+    looper.shaper.oversample = '2x';
+    looper.shaperDrive = -1; // Forces the first curve to be built
 
-    looper.bufferSource.connect(looper.playbackGain);
-    looper.playbackGain.connect(compressor);
+    // Delay with dry path, wet level and a feedback loop
+    looper.delay = audioCtx.createDelay(DELAY_MAX_SECONDS);
+    looper.delayWet = audioCtx.createGain();
+    looper.delayWet.gain.value = 0;
+    looper.delayFeedback = audioCtx.createGain();
+    looper.delayFeedback.gain.value = 0;
+    looper.fxOutput = audioCtx.createGain();
+
+    looper.playbackGain = audioCtx.createGain();
+    looper.playbackGain.gain.value = 1.0;
 
-    looper.bufferSource.start();
-    looper.isPlaying = true;
+    looper.reverbSend = audioCtx.createGain();
+    looper.reverbSend.gain.value = 1;
 
-    console.log(`Looper ${looperIndex} started playback`);
+    // Connect for playback: worklet → filter → motion volume → channel strip
+    looper.node.connect(looper.shaper);
+    looper.shaper.connect(looper.filter);
+    looper.filter.connect(looper.fxOutput);
+    looper.filter.connect(looper.delay);
+    looper.delay.connect(looper.delayFeedback);
+    looper.delayFeedback.connect(looper.delay);
+    looper.delay.connect(looper.delayWet);
+    looper.delayWet.connect(looper.fxOutput);
+    looper.fxOutput.connect(looper.playbackGain);
+    looper.reverbSend.connect(masterReverb);
+    looper.channel = createChannelStrip(looper.playbackGain, masterBus, looper.reverbSend, 0);
 
-    // Update UI
-    updateLooperUI(looperIndex, 'playing');
+    return looper;
 }
 
-function stopPlayback(looperIndex) {
-    const looper = loopers[looperIndex];
-    if (!looper.isPlaying) return;
+// Glitch and stutter smoothing is the engine's (looper.smoothers)
+function createLooperSmoothers() {
+    return {
+        volume: new ParameterSmoother(1, 0.15),
+        reverbSend: new ParameterSmoother(1, 0.15),
+        filterCutoff: new ParameterSmoother(1, 0.15),
+        filterResonance: new ParameterSmoother(0, 0.15),
+        delayMix: new ParameterSmoother(0, 0.15),
+        delayFeedback: new ParameterSmoother(0.35, 0.15),
+        drive: new ParameterSmoother(0, 0.15)
+    };
+}
 
-    if (looper.bufferSource) {
-        looper.bufferSource.stop();
-        looper.bufferSource.disconnect();
-        looper.bufferSource = null;
-    }
+// Loopers only exist once audio starts - until then menus offer the default set
+function looperSlotCount() {
+    return loopers.length || DEFAULT_LOOPER_COUNT;
+}
 
-    looper.isPlaying = false;
+// Stamp a panel out of the template and wire its controls
+function createLooperPanel(index) {
+    const template = document.getElementById('looperPanelTemplate');
+    const holder = document.createElement('div');
+    holder.innerHTML = template.innerHTML
+        .replace(/\{index\}/g, index)
+        .replace(/\{number\}/g, index + 1);
+    const panel = holder.firstElementChild;
+    document.getElementById('looper-controls').appendChild(panel);
+    initLooperControls(panel);
+    return panel;
+}
 
-    console.log(`Looper ${looperIndex} stopped playback`);
+// Every looper can record any other looper - rebuild the choices after add/remove
+function renderInputOptions() {
+    loopers.forEach(looper => {
+        const select = document.querySelector(`.input-select[data-looper="${looper.index}"]`);
+        select.innerHTML = '';
+        select.add(new Option('SYNTH PAD', 'pad'));
+        select.add(new Option('MIC', 'mic'));
+        loopers.forEach(other => {
+            if (other !== looper) select.add(new Option(`LOOPER ${other.index + 1}`, `looper-${other.index}`));
+        });
+        select.value = looper.inputSource;
+    });
+}
 
-    // Update UI
-    updateLooperUI(looperIndex, 'stopped');
+// Everything that lists loopers needs redrawing when the count changes
+function refreshLooperViews() {
+    renderInputOptions();
+    renderMixer();
+    renderMappingMatrix();
+    renderMidiActionSelect();
+    renderJamPeers();
 }
 
-function clearLoop(looperIndex) {
-    stopPlayback(looperIndex);
-    stopRecording(looperIndex);
+function addLooper() {
+    if (loopers.length >= MAX_LOOPERS) {
+        alert(`${MAX_LOOPERS} loopers is the limit`);
+        return null;
+    }
 
-    const looper = loopers[looperIndex];
-    looper.writePosition = 0;
-    looper.recordedLength = 0;
+    const index = loopers.length;
+    const looper = createLooper(masterGain);
+    parameterSmoothers[`looper${index}`] = createLooperSmoothers();
+    createLooperPanel(index);
+    renderLooperFx(looper);
+    refreshLooperViews();
+    engine.applyMappings();
+    console.log(`Created looper ${index}`);
+    return looper;
+}
 
-    console.log(`Looper ${looperIndex} cleared`);
+// Removes the last looper. Anything recording from it falls back to the pad first.
+// Mappings that point at it are kept and pick it back up if it's re-added
+function removeLooper() {
+    if (loopers.length <= 1) return Promise.resolve();
 
-    // Update UI
-    updateLooperUI(looperIndex, 'cleared');
-}
+    const looper = loopers[loopers.length - 1];
+    const dependents = loopers.filter(other => other.inputSource === `looper-${looper.index}`);
 
-// Parameter update loop
-function updateLooperParameters() {
-    loopers.forEach((looper, index) => {
-        const smoothers = parameterSmoothers[`looper${index}`];
+    return Promise.all(dependents.map(other => setLooperInput(other.index, 'pad'))).then(() => {
+        engine.removeLooper();
+        delete parameterSmoothers[`looper${looper.index}`];
+        Object.keys(midiTargetValues)
+            .filter(key => key.startsWith(`${looper.index}:`))
+            .forEach(key => delete midiTargetValues[key]);
+
+        looper.playbackGain.disconnect();
+        looper.reverbSend.disconnect();
+        looper.channel.muteGain.disconnect();
+        looper.channel.send.disconnect();
+
+        document.getElementById(`looper-panel-${looper.index}`).remove();
+        refreshLooperViews();
+        updateMuteSolo();
+        console.log(`Removed looper ${looper.index}`);
+    });
+}
 
-        // Glitch intensity is smooth
-        const glitchIntensity = smoothers.glitchIntensity.step();
+function setLooperMaxSeconds(seconds) {
+    engine.setMaxSeconds(seconds);
+    console.log(`Looper max length: ${seconds}s`);
+}
 
-        // Playback rate snaps to discrete values
-        const playbackRate = looper.targetPlaybackRate || 1;
-        const stutterRate = smoothers.stutterRate.step();
+// Add or remove loopers from the end until there are count of them
+function setLooperCount(count) {
+    count = Math.max(1, Math.min(MAX_LOOPERS, count));
+    while (loopers.length < count) addLooper();
+    if (loopers.length <= count) return Promise.resolve();
+    return removeLooper().then(() => setLooperCount(count));
+}
 
-        // Apply to looper
-        looper.glitchIntensity = glitchIntensity;
-        looper.playbackRate = playbackRate;
-        looper.stutterRate = stutterRate;
+function initLooperManager() {
+    const maxInput = document.getElementById('looperMaxSecondsInput');
+    maxInput.max = LOOPER_MAX_SECONDS_LIMIT;
+    maxInput.value = engine.maxSeconds;
 
-        if (looper.bufferSource && looper.isPlaying) {
-            looper.bufferSource.playbackRate.value = playbackRate;
+    document.getElementById('addLooperButton').addEventListener('click', () => {
+        if (!audioCtx || loopers.length === 0) {
+            alert("Start the audio first");
+            return;
         }
+        addLooper();
+    });
 
-        // Update UI display
-        updateLooperParameterDisplay(index, { glitchIntensity, playbackRate, stutterRate });
+    document.getElementById('removeLooperButton').addEventListener('click', () => {
+        const looper = loopers[loopers.length - 1];
+        if (!looper || loopers.length <= 1) return;
+        if (looper.recordedLength > 0 && !confirm(`Remove looper ${looper.index + 1} and its loop?`)) return;
+        removeLooper();
     });
 
-    requestAnimationFrame(updateLooperParameters);
+    maxInput.addEventListener('change', () => {
+        const seconds = Math.max(1, Math.min(LOOPER_MAX_SECONDS_LIMIT, parseFloat(maxInput.value) || LOOPER_MAX_SECONDS));
+        maxInput.value = seconds;
+        if (!audioCtx) {
+            engine.maxSeconds = seconds;
+            return;
+        }
+        const truncates = loopers.some(looper => looper.recordedLength > audioCtx.sampleRate * seconds);
+        if (truncates && !confirm("Some loops are longer than that and will be cut. Continue?")) {
+            maxInput.value = engine.maxSeconds;
+            return;
+        }
+        setLooperMaxSeconds(seconds);
+    });
 }
 
-// UI update functions
-function updateLooperUI(looperIndex, state) {
-    const statusEl = document.getElementById(`status-${looperIndex}`);
-    const panel = document.getElementById(`looper-panel-${looperIndex}`);
+// Decaying stereo noise, the same squared envelope the original 3 second impulse used.
+// Bloom slows the attack and shimmer adds a ringing octave-up halo
+function generateReverbImpulse(settings) {
+    const sampleRate = audioCtx.sampleRate;
+    const length = Math.max(1, Math.round(sampleRate * settings.decay));
+    const attack = settings.bloom * settings.decay * 0.5;
+    const channels = [];
 
-    if (!statusEl || !panel) return;
+    // Bloom and the halo partials run as recurrences - Math.exp/Math.sin per sample
+    // is too slow for the long shimmer tails
+    const attackStep = attack > 0 ? Math.exp(-1 / (attack * sampleRate)) : 0;
+    const rotations = REVERB_SHIMMER_HZ.map(hz => [Math.cos(2 * Math.PI * hz / sampleRate), Math.sin(2 * Math.PI * hz / sampleRate)]);
 
-    // Remove all state classes
-    panel.querySelectorAll('.looper-btn').forEach(btn => btn.classList.remove('active'));
-    statusEl.classList.remove('recording', 'playing');
+    for (let channel = 0; channel < 2; channel++) {
+        const data = new Float32Array(length);
+        const partials = REVERB_SHIMMER_HZ.map(() => {
+            const phase = Math.random() * Math.PI * 2;
+            return [Math.cos(phase), Math.sin(phase)];
+        });
+        let attackRemaining = attack > 0 ? 1 : 0;
+
+        for (let i = 0; i < length; i++) {
+            let envelope = (1 - i / length) ** 2;
+            envelope *= 1 - attackRemaining;
+            attackRemaining *= attackStep;
+
+            let sample = Math.random() * 2 - 1;
+            if (settings.shimmer > 0) {
+                let halo = 0;
+                for (let p = 0; p < partials.length; p++) {
+                    const partial = partials[p];
+                    const re = partial[0];
+                    const im = partial[1];
+                    partial[0] = re * rotations[p][0] - im * rotations[p][1];
+                    partial[1] = re * rotations[p][1] + im * rotations[p][0];
+                    halo += im;
+                }
+                sample += settings.shimmer * halo / partials.length;
+            }
+            data[i] = sample * envelope;
+        }
+        channels.push(data);
+    }
+    return channels;
+}
+
+// Pre-delay, damping and width on top of either impulse source. Works on a copy so
+// a loaded IR can be reshaped again later
+function shapeReverbImpulse(source, settings) {
+    const sampleRate = audioCtx.sampleRate;
+    const offset = Math.round(settings.preDelay * sampleRate);
+    const length = offset + source[0].length;
+    const buffer = audioCtx.createBuffer(2, length, sampleRate);
+    const left = buffer.getChannelData(0);
+    const right = buffer.getChannelData(1);
+    left.set(source[0], offset);
+    right.set(source[1] || source[0], offset);
+
+    // Damping: a one-pole lowpass whose cutoff falls as the tail goes on
+    if (settings.damping > 0) {
+        [left, right].forEach(data => {
+            let state = 0;
+            let coeff = 1;
+            for (let i = offset; i < length; i++) {
+                if ((i - offset) % 128 === 0) {
+                    const progress = (i - offset) / (length - offset);
+                    const cutoff = REVERB_BRIGHT_HZ * (REVERB_DARK_HZ / REVERB_BRIGHT_HZ) ** (settings.damping * progress);
+                    coeff = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+                }
+                state += coeff * (data[i] - state);
+                data[i] = state;
+            }
+        });
+    }
+
+    // Width: scale the side signal - 0 collapses the tail to mono
+    if (settings.width < 1) {
+        for (let i = offset; i < length; i++) {
+            const mid = (left[i] + right[i]) / 2;
+            const side = (left[i] - right[i]) / 2 * settings.width;
+            left[i] = mid + side;
+            right[i] = mid - side;
+        }
+    }
+
+    return buffer;
+}
+
+// Wet/dry reverb mix in percent - scenes move it too, so it isn't only the slider's
+function setReverbMix(amount) {
+    reverbSlider.value = amount;
+    reverbValueDisplay.textContent = amount + "%";
+
+    if (reverbWet && reverbDry) {
+        // Convert percentage to 0-1 range
+        reverbWet.gain.value = amount / 100;
+        reverbDry.gain.value = 1 - amount / 100;
+    }
+}
+
+// Swap impulses by crossfading to a fresh convolver - setting .buffer on the live
+// one would cut the tail and click
+function setReverbImpulse(buffer) {
+    const now = audioCtx.currentTime;
+    const convolver = audioCtx.createConvolver();
+    convolver.buffer = buffer;
+    const gain = audioCtx.createGain();
+    masterReverb.connect(convolver);
+    convolver.connect(gain);
+    gain.connect(reverbWet);
+
+    const previous = reverbSlot;
+    reverbSlot = { convolver, gain };
+    if (!previous) return;
+
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(1, now + REVERB_CROSSFADE_SECONDS);
+    previous.gain.gain.setValueAtTime(previous.gain.gain.value, now);
+    previous.gain.gain.linearRampToValueAtTime(0, now + REVERB_CROSSFADE_SECONDS);
+    setTimeout(() => {
+        masterReverb.disconnect(previous.convolver);
+        previous.convolver.disconnect();
+        previous.gain.disconnect();
+    }, (REVERB_CROSSFADE_SECONDS + 0.1) * 1000);
+}
+
+function updateReverb() {
+    if (!masterReverb) return;
+    const source = reverbIR || generateReverbImpulse(reverbSettings);
+    setReverbImpulse(shapeReverbImpulse(source, reverbSettings));
+    console.log("Reverb impulse:", reverbSettings.irName || reverbSettings.preset, reverbSettings);
+}
+
+// Controls fire in bursts while typing or spinning - regenerate once they settle
+function scheduleReverbUpdate() {
+    clearTimeout(reverbUpdateTimer);
+    reverbUpdateTimer = setTimeout(updateReverb, REVERB_UPDATE_DELAY);
+}
+
+function applyReverbPreset(name) {
+    Object.assign(reverbSettings, REVERB_PRESETS[name], { preset: name, irName: null });
+    reverbIR = null;
+    syncReverbControls();
+    updateReverb();
+}
+
+// Load an impulse response file. decodeAudioData resamples to the context rate;
+// stereo IRs keep both channels, anything wider uses the first two
+function loadReverbIR(file) {
+    file.arrayBuffer()
+        .then(data => audioCtx.decodeAudioData(data))
+        .then(decoded => {
+            const length = Math.min(decoded.length, audioCtx.sampleRate * REVERB_MAX_SECONDS);
+            reverbIR = [];
+            for (let channel = 0; channel < Math.min(2, decoded.numberOfChannels); channel++) {
+                reverbIR.push(decoded.getChannelData(channel).slice(0, length));
+            }
+            if (decoded.length > length) {
+                console.log(`Trimmed ${file.name} to ${REVERB_MAX_SECONDS}s`);
+            }
+            reverbSettings.irName = file.name;
+            syncReverbControls();
+            updateReverb();
+        })
+        .catch(err => {
+            console.error("Failed to load impulse response:", err);
+            alert("Couldn't load " + file.name + ": " + (err.message || err));
+        });
+}
+
+// Nearest zero crossing to index within the snap window, or index itself if none
+function findZeroCrossing(data, index, window) {
+    for (let offset = 0; offset <= window; offset++) {
+        for (const i of [index - offset, index + offset]) {
+            if (i <= 0 || i >= data.length) continue;
+            if ((data[i - 1] <= 0 && data[i] > 0) || (data[i - 1] >= 0 && data[i] < 0)) return i;
+        }
+    }
+    return index;
+}
+
+function setLooperRegion(looperIndex, start, end) {
+    const looper = loopers[looperIndex];
+    const minLength = Math.round(audioCtx.sampleRate * LOOP_MIN_SECONDS);
+    start = Math.max(0, Math.min(Math.round(start), looper.recordedLength - minLength));
+    end = Math.max(start + minLength, Math.min(Math.round(end), looper.recordedLength));
+
+    if (looper.snapToZero && looper.recordBufferData) {
+        const window = Math.round(audioCtx.sampleRate * LOOP_SNAP_SECONDS);
+        start = findZeroCrossing(looper.recordBufferData[0], start, window);
+        if (end < looper.recordedLength) end = findZeroCrossing(looper.recordBufferData[0], end, window);
+    }
+
+    looper.setRegion(start, end, Math.round(audioCtx.sampleRate * looper.crossfadeMs / 1000));
+}
+
+// Min/max per pixel column across all channels, recomputed only when the worklet
+// sends new loop data
+function computeWaveformPeaks(channels, columns) {
+    const peaks = new Float32Array(columns * 2);
+    const length = channels[0].length;
+    const step = length / columns;
+    for (let column = 0; column < columns; column++) {
+        let min = 0;
+        let max = 0;
+        const end = Math.min(length, Math.floor((column + 1) * step));
+        channels.forEach(data => {
+            for (let i = Math.floor(column * step); i < end; i++) {
+                min = Math.min(min, data[i]);
+                max = Math.max(max, data[i]);
+            }
+        });
+        peaks[column * 2] = min;
+        peaks[column * 2 + 1] = max;
+    }
+    return peaks;
+}
+
+// Where the worklet's playhead is now, extrapolated from its last report
+function estimatePlayhead(looper) {
+    if (!looper.playhead) return looper.loopStart;
+    const regionLength = looper.loopEnd - looper.loopStart;
+    const elapsed = audioCtx.currentTime * audioCtx.sampleRate - looper.playhead.frame;
+    let position = looper.playhead.position + elapsed * looper.playbackRate - looper.loopStart;
+    position = ((position % regionLength) + regionLength) % regionLength;
+    return looper.loopStart + position;
+}
+
+function drawLooperWaveform(looper) {
+    const canvas = document.querySelector(`.looper-waveform[data-looper="${looper.index}"]`);
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const styles = getComputedStyle(document.documentElement);
+
+    ctx.fillStyle = styles.getPropertyValue('--bg-color');
+    ctx.fillRect(0, 0, width, height);
+
+    const channels = looper.recordBufferData;
+    if (!channels || channels[0].length === 0 || looper.isRecording) return;
+    const length = channels[0].length;
+
+    if (!looper.waveformPeaks) {
+        looper.waveformPeaks = computeWaveformPeaks(channels, width);
+    }
+
+    ctx.fillStyle = styles.getPropertyValue('--secondary-color');
+    for (let x = 0; x < width; x++) {
+        const top = (1 - looper.waveformPeaks[x * 2 + 1]) * height / 2;
+        const bottom = (1 - looper.waveformPeaks[x * 2]) * height / 2;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+
+    // Dim everything outside the loop region, then draw the markers
+    const startX = looper.loopStart / length * width;
+    const endX = looper.loopEnd / length * width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, startX, height);
+    ctx.fillRect(endX, 0, width - endX, height);
+    ctx.fillStyle = styles.getPropertyValue('--accent-color');
+    ctx.fillRect(startX, 0, 2, height);
+    ctx.fillRect(endX - 2, 0, 2, height);
+
+    // Glitch automation across the region
+    const automation = looper.automation.data;
+    if (automation) {
+        ctx.strokeStyle = styles.getPropertyValue('--accent-color');
+        ctx.beginPath();
+        for (let step = 0; step < AUTOMATION_STEPS; step++) {
+            const x = startX + (step / (AUTOMATION_STEPS - 1)) * (endX - startX);
+            const y = (1 - automation.glitch[step]) * (height - 2) + 1;
+            if (step === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+
+    if (looper.isPlaying) {
+        const playheadX = estimatePlayhead(looper) / length * width;
+        ctx.fillStyle = styles.getPropertyValue('--primary-color');
+        ctx.fillRect(playheadX - 1, 0, 2, height);
+    }
+}
+
+function createAutomation() {
+    return {
+        mode: 'overwrite',  // 'overwrite' | 'touch'
+        armed: false,
+        data: null,         // { glitch, speed } - AUTOMATION_STEPS values each, speed normalized
+        pass: null,         // Steps written so far while an overwrite pass runs
+        cursor: null,       // { step, glitch, speed } from the previous frame, for filling gaps
+        lastLive: {},       // target → previous motion value, for touch detection
+        touchedUntil: 0
+    };
+}
+
+// Where the playhead is across the loop region, 0-1
+function automationPosition(looper) {
+    const regionLength = looper.loopEnd - looper.loopStart;
+    return regionLength > 0 ? (estimatePlayhead(looper) - looper.loopStart) / regionLength : 0;
+}
+
+function automationTouched(automation) {
+    return automation.armed && automation.mode === 'touch' && performance.now() < automation.touchedUntil;
+}
+
+// What the recorded automation says for a target right now, or null to let motion
+// through (nothing recorded, an overwrite pass running, or the parameter grabbed)
+function automationValue(looper, target, live) {
+    const automation = looper.automation;
+    if (!AUTOMATION_TARGETS.includes(target) || !automation.data || automation.pass !== null) return null;
+
+    if (automation.armed && automation.mode === 'touch' && live !== null) {
+        const last = automation.lastLive[target];
+        automation.lastLive[target] = live;
+        if (last !== undefined && Math.abs(live - last) > AUTOMATION_TOUCH_THRESHOLD) {
+            automation.touchedUntil = performance.now() + AUTOMATION_TOUCH_HOLD;
+        }
+    }
+    if (automationTouched(automation) || !looper.isPlaying) return null;
+
+    const values = automation.data[target];
+    const position = automationPosition(looper) * (AUTOMATION_STEPS - 1);
+    const step = Math.floor(position);
+    if (target === 'speed') return values[step];
+    const next = Math.min(step + 1, AUTOMATION_STEPS - 1);
+    return values[step] + (values[next] - values[step]) * (position - step);
+}
+
+// Write the steps between the previous frame and this one, walking the way the
+// playhead went (reverse speeds included) and blending between the two frames' values
+function writeAutomation(automation, from, to) {
+    let distance = ((to.step - from.step) % AUTOMATION_STEPS + AUTOMATION_STEPS) % AUTOMATION_STEPS;
+    if (distance > AUTOMATION_STEPS / 2) distance -= AUTOMATION_STEPS;
+    const count = Math.abs(distance);
+    const direction = Math.sign(distance);
+
+    for (let i = 1; i <= count; i++) {
+        const step = (from.step + i * direction + AUTOMATION_STEPS) % AUTOMATION_STEPS;
+        const amount = i / count;
+        automation.data.glitch[step] = from.glitch + (to.glitch - from.glitch) * amount;
+        automation.data.speed[step] = amount < 0.5 ? from.speed : to.speed;
+    }
+    automation.data.glitch[to.step] = to.glitch;
+    automation.data.speed[to.step] = to.speed;
+    return count;
+}
+
+// Called every frame: capture the smoothers' targets while writing (so playback through
+// the same smoothers retraces the curve), otherwise keep feeding the recorded values in
+function updateAutomation(looper) {
+    const automation = looper.automation;
+    if (!looper.isPlaying || looper.recordedLength === 0) {
+        automation.cursor = null;
+        return;
+    }
+
+    const now = {
+        step: Math.min(AUTOMATION_STEPS - 1, Math.floor(automationPosition(looper) * AUTOMATION_STEPS)),
+        glitch: looper.smoothers.glitchIntensity.targetValue,
+        speed: speedToNormalized(looper.targetPlaybackRate)
+    };
+
+    // An armed looper with nothing recorded yet, or armed in OVERWRITE, writes one full pass
+    if (automation.armed && automation.pass === null && (!automation.data || automation.mode === 'overwrite')) {
+        if (!automation.data) {
+            automation.data = {
+                glitch: new Float32Array(AUTOMATION_STEPS).fill(now.glitch),
+                speed: new Float32Array(AUTOMATION_STEPS).fill(now.speed)
+            };
+        }
+        automation.pass = 0;
+        automation.cursor = null;
+    }
+
+    const writing = automation.pass !== null || automationTouched(automation);
+    if (writing && automation.cursor) {
+        const written = writeAutomation(automation, automation.cursor, now);
+        if (automation.pass !== null) {
+            automation.pass += written;
+            if (automation.pass >= AUTOMATION_STEPS) {
+                automation.pass = null;
+                automation.armed = automation.mode === 'touch';
+                console.log(`Looper ${looper.index} automation recorded`);
+            }
+        }
+    }
+    automation.cursor = now;
+
+    if (!writing && automation.data) engine.applyLooperMappings(looper);
+    updateAutomationUI(looper);
+}
+
+function clearAutomation(looperIndex) {
+    loopers[looperIndex].automation = createAutomation();
+    const mode = document.querySelector(`.automation-mode[data-looper="${looperIndex}"]`);
+    if (mode) loopers[looperIndex].automation.mode = mode.value;
+    engine.applyLooperMappings(loopers[looperIndex]);
+    updateAutomationUI(loopers[looperIndex]);
+}
+
+function updateAutomationUI(looper) {
+    const automation = looper.automation;
+    let status = automation.data ? 'PLAY' : 'OFF';
+    if (automation.pass !== null) {
+        status = 'WRITE';
+    } else if (automationTouched(automation)) {
+        status = 'TOUCH';
+    } else if (automation.armed) {
+        status = automation.data && automation.mode === 'touch' ? 'PLAY + TOUCH' : 'ARMED';
+    }
+
+    const statusEl = document.getElementById(`automation-status-${looper.index}`);
+    if (statusEl && statusEl.textContent !== status) statusEl.textContent = status;
+    const armButton = document.querySelector(`.automation-arm-btn[data-looper="${looper.index}"]`);
+    if (armButton) armButton.classList.toggle('active', automation.armed);
+}
+
+// Soft-clip curve: identity at drive 0, heavily saturated at 1
+function makeDriveCurve(drive) {
+    const k = drive * 100;
+    const curve = new Float32Array(DRIVE_CURVE_SAMPLES);
+    for (let i = 0; i < DRIVE_CURVE_SAMPLES; i++) {
+        const x = (i / (DRIVE_CURVE_SAMPLES - 1)) * 2 - 1;
+        curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
+
+// Push the smoothed effect values into the insert chain
+function updateLooperFx(looper, smoothers) {
+    // Cutoff 20Hz-20kHz exponential, resonance Q 0.7-20
+    looper.filter.frequency.value = 20 * Math.pow(1000, smoothers.filterCutoff.step());
+    looper.filter.Q.value = 0.7 + smoothers.filterResonance.step() * 19.3;
+
+    const delayTime = Math.min(DELAY_MAX_SECONDS, engine.secondsPerBeat() * DELAY_DIVISIONS[looper.fx.delayDivision]);
+    if (Math.abs(looper.delay.delayTime.value - delayTime) > 0.001) {
+        looper.delay.delayTime.setTargetAtTime(delayTime, audioCtx.currentTime, 0.05);
+    }
+    looper.delayWet.gain.value = smoothers.delayMix.step();
+    looper.delayFeedback.gain.value = smoothers.delayFeedback.step() * DELAY_MAX_FEEDBACK;
+
+    // Rebuilding the curve is relatively expensive - only do it on a real change
+    const drive = Math.round(smoothers.drive.step() * 100) / 100;
+    if (drive !== looper.shaperDrive) {
+        looper.shaperDrive = drive;
+        looper.shaper.curve = makeDriveCurve(drive);
+    }
+}
+
+// Mixer channel strip: fader → pan → mute/solo → output, with a post-fader reverb
+// send and a peak meter tap
+function createChannelStrip(input, output, sendDestination, sendLevel) {
+    const strip = {
+        fader: audioCtx.createGain(),
+        panner: audioCtx.createStereoPanner(),
+        muteGain: audioCtx.createGain(),
+        send: audioCtx.createGain(),
+        meter: audioCtx.createAnalyser(),
+        meterData: null,
+        peak: 0,
+        muted: false,
+        soloed: false
+    };
+
+    strip.send.gain.value = sendLevel;
+    strip.meter.fftSize = 512;
+    strip.meterData = new Float32Array(strip.meter.fftSize);
+
+    input.connect(strip.fader);
+    strip.fader.connect(strip.panner);
+    strip.panner.connect(strip.muteGain);
+    strip.muteGain.connect(output);
+    strip.muteGain.connect(strip.send);
+    strip.muteGain.connect(strip.meter);
+    strip.send.connect(sendDestination);
+
+    return strip;
+}
+
+function allChannelStrips() {
+    return [padChannel].concat(loopers.map(looper => looper.channel)).filter(Boolean);
+}
+
+// With any strip soloed, only soloed strips are heard; mute always wins
+function updateMuteSolo() {
+    const strips = allChannelStrips();
+    const anySolo = strips.some(strip => strip.soloed);
+    strips.forEach(strip => {
+        const audible = !strip.muted && (!anySolo || strip.soloed);
+        strip.muteGain.gain.setTargetAtTime(audible ? 1 : 0, audioCtx.currentTime, 0.01);
+    });
+}
+
+// Peak with a slow fall so short transients stay visible
+function readChannelPeak(strip) {
+    strip.meter.getFloatTimeDomainData(strip.meterData);
+    let peak = 0;
+    for (let i = 0; i < strip.meterData.length; i++) {
+        peak = Math.max(peak, Math.abs(strip.meterData[i]));
+    }
+    strip.peak = Math.max(peak, strip.peak * 0.92);
+    return strip.peak;
+}
+
+// The engine mirrors the worklets' state - follow it in the UI
+function initEngineEvents() {
+    engine.on('recorded', (looper, message) => {
+        looper.waveformPeaks = null;
+        if (message.reason === 'record' || message.reason === 'load') {
+            console.log(`Looper ${looper.index} has a new loop (${message.reason}, ${message.length} samples)`);
+            // Automation belongs to the old loop (loads keep theirs - sessions restore it first)
+            if (message.reason === 'record') clearAutomation(looper.index);
+        }
+    });
+
+    engine.on('state', (looper, wasRecording) => {
+        updateLayerUI(looper);
+
+        const exportBtn = document.querySelector(`.export-btn[data-looper="${looper.index}"]`);
+        if (exportBtn) exportBtn.disabled = looper.recordedLength === 0;
+
+        if (looper.isRecording) {
+            updateLooperUI(looper.index, 'recording');
+        } else if (looper.isOverdubbing) {
+            updateLooperUI(looper.index, 'overdubbing');
+        } else if (looper.isPlaying) {
+            updateLooperUI(looper.index, 'playing');
+        } else if (looper.recordedLength === 0 && !wasRecording) {
+            updateLooperUI(looper.index, 'cleared');
+        } else {
+            updateLooperUI(looper.index, 'stopped');
+        }
+    });
+
+    engine.on('queued', (looper) => updateLooperUI(looper.index, 'queued'));
+
+    engine.on('tempo', () => {
+        bpmInput.value = Math.round(clock.bpm * 10) / 10;
+        console.log(`Tempo: ${clock.bpm.toFixed(2)} BPM`);
+        broadcastJamClock();
+    });
+}
+
+function startRecording(looperIndex) {
+    loopers[looperIndex].record();
+    console.log(`Looper ${looperIndex} started recording`);
+}
+
+function stopRecording(looperIndex) {
+    loopers[looperIndex].stopRecording();
+}
+
+function startPlayback(looperIndex) {
+    if (!loopers[looperIndex].play()) {
+        console.log(`Looper ${looperIndex} has no recorded content`);
+        return;
+    }
+    console.log(`Looper ${looperIndex} started playback`);
+}
+
+function stopPlayback(looperIndex) {
+    loopers[looperIndex].stop();
+    console.log(`Looper ${looperIndex} stopped playback`);
+}
+
+function startOverdub(looperIndex) {
+    const looper = loopers[looperIndex];
+    if (!looper.overdub()) {
+        console.log(`Looper ${looperIndex} has nothing to overdub onto`);
+        return;
+    }
+    console.log(`Looper ${looperIndex} started overdub (feedback ${looper.feedbackAmount})`);
+}
+
+function stopOverdub(looperIndex) {
+    loopers[looperIndex].stopOverdub();
+    console.log(`Looper ${looperIndex} stopped overdub`);
+}
+
+function undoLayer(looperIndex) {
+    loopers[looperIndex].undo();
+    console.log(`Looper ${looperIndex} undo`);
+}
+
+function redoLayer(looperIndex) {
+    loopers[looperIndex].redo();
+    console.log(`Looper ${looperIndex} redo`);
+}
+
+// STOP ends playback, or recording if that's what the looper is doing
+function stopLooper(looperIndex) {
+    if (loopers[looperIndex].isPlaying) {
+        stopPlayback(looperIndex);
+    } else if (loopers[looperIndex].isRecording) {
+        stopRecording(looperIndex);
+    }
+}
+
+function clearLoop(looperIndex) {
+    loopers[looperIndex].clear();
+    clearAutomation(looperIndex);
+    console.log(`Looper ${looperIndex} cleared`);
+}
+
+// Open the microphone / line input. Browser processing is turned off so
+// instruments and line sources are recorded as-is
+function enableMicInput() {
+    if (micSource) return Promise.resolve();
+
+    return navigator.mediaDevices.getUserMedia({
+        audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    }).then(stream => {
+        micStream = stream;
+        micSource = audioCtx.createMediaStreamSource(stream);
+
+        micInputGain = audioCtx.createGain();
+        micInputGain.gain.value = parseInt(micGainSlider.value) / 100;
+
+        micMeter = audioCtx.createAnalyser();
+        micMeter.fftSize = 1024;
+        micMeterData = new Float32Array(micMeter.fftSize);
+
+        // Monitor is off by default - phone speakers + mic = feedback
+        micMonitorGain = audioCtx.createGain();
+        micMonitorGain.gain.value = micMonitorToggle.checked ? 1 : 0;
+
+        micSource.connect(micInputGain);
+        micInputGain.connect(micMeter);
+        micInputGain.connect(micMonitorGain);
+        micMonitorGain.connect(masterBus);
+
+        micButton.textContent = 'MIC ON';
+        micButton.classList.add('active');
+        console.log("Microphone input enabled");
+    });
+}
+
+// Release the microphone so the browser stops capturing - loopers recording it go back to the pad
+function disableMicInput() {
+    if (!micSource) return;
+
+    loopers.forEach(looper => {
+        if (looper.inputSource !== 'mic') return;
+        looper.setInput(getInputNode('pad'));
+        looper.inputSource = 'pad';
+    });
+    renderInputOptions();
+
+    micStream.getTracks().forEach(track => track.stop());
+    micSource.disconnect();
+    micMonitorGain.disconnect();
+    micStream = null;
+    micSource = null;
+    micInputGain = null;
+    micMeter = null;
+    micMonitorGain = null;
+    micMeterData = null;
+
+    micButton.textContent = 'ENABLE MIC';
+    micButton.classList.remove('active');
+    micLevelBar.style.width = '0%';
+    console.log("Microphone input disabled");
+}
+
+function getInputNode(sourceName) {
+    if (sourceName === 'pad') return masterGain;
+    if (sourceName === 'mic') return micInputGain;
+    return loopers[parseInt(sourceName.split('-')[1])].playbackGain;
+}
+
+// Would recording looperIndex from sourceName create a loop of loopers feeding each other?
+function createsInputCycle(looperIndex, sourceName) {
+    let current = sourceName;
+    const visited = new Set();
+    while (current.startsWith('looper-')) {
+        const sourceIndex = parseInt(current.split('-')[1]);
+        if (sourceIndex === looperIndex) return true;
+        if (visited.has(sourceIndex)) return false;
+        visited.add(sourceIndex);
+        current = loopers[sourceIndex].inputSource;
+    }
+    return false;
+}
+
+// Choose what a looper records: synth pad, mic, or another looper's output
+function setLooperInput(looperIndex, sourceName) {
+    const looper = loopers[looperIndex];
+
+    if (createsInputCycle(looperIndex, sourceName)) {
+        alert("That would make loopers record each other in a circle");
+        return Promise.resolve(false);
+    }
+
+    const ready = sourceName === 'mic' ? enableMicInput() : Promise.resolve();
+    return ready.then(() => {
+        looper.setInput(getInputNode(sourceName));
+        looper.inputSource = sourceName;
+        console.log(`Looper ${looperIndex} input: ${sourceName}`);
+        return true;
+    }).catch(err => {
+        console.error("Microphone error:", err);
+        alert("Microphone unavailable: " + err.message);
+        return false;
+    });
+}
+
+function updateInputMeter() {
+    if (!micMeter) return;
+
+    micMeter.getFloatTimeDomainData(micMeterData);
+    let peak = 0;
+    for (let i = 0; i < micMeterData.length; i++) {
+        peak = Math.max(peak, Math.abs(micMeterData[i]));
+    }
+
+    micLevelBar.style.width = Math.min(100, peak * 100) + '%';
+    micLevelBar.classList.toggle('clipping', peak >= 0.99);
+}
+
+// Import an audio file into a looper slot. decodeAudioData resamples to the context
+// rate; we keep up to two channels and trim to the looper's maximum length
+function importAudioFile(looperIndex, file) {
+    const looper = loopers[looperIndex];
+    updateLooperUI(looperIndex, 'loading');
+    console.log(`Looper ${looperIndex} importing ${file.name}`);
+
+    file.arrayBuffer()
+        .then(data => audioCtx.decodeAudioData(data))
+        .then(decoded => {
+            const maxLength = engine.maxLength();
+            const length = Math.min(decoded.length, maxLength);
+            const channels = [];
+
+            // Files with more than two channels keep the first two
+            for (let channel = 0; channel < Math.min(2, decoded.numberOfChannels); channel++) {
+                channels.push(decoded.getChannelData(channel).slice(0, length));
+            }
+
+            if (decoded.length > maxLength) {
+                console.log(`Trimmed ${file.name} to ${engine.maxSeconds}s`);
+            }
+
+            looper.load(channels);
+        })
+        .catch(err => {
+            console.error("Failed to import audio file:", err);
+            alert("Couldn't load " + file.name + ": " + (err.message || err));
+            updateLooperUI(looperIndex, looper.recordedLength > 0 ? 'stopped' : 'cleared');
+        });
+}
+
+// WAV export - 16-bit PCM, one Float32Array per channel
+function encodeWav(channels, sampleRate) {
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const bytesPerSample = 2;
+    const dataSize = numFrames * numChannels * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                                        // fmt chunk size
+    view.setUint16(20, 1, true);                                         // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * numChannels * bytesPerSample, true); // Byte rate
+    view.setUint16(32, numChannels * bytesPerSample, true);              // Block align
+    view.setUint16(34, 8 * bytesPerSample, true);                        // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave and clip to 16-bit
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function exportLooper(looperIndex) {
+    const looper = loopers[looperIndex];
+    if (!looper.recordBufferData || looper.recordBufferData[0].length === 0) {
+        console.log(`Looper ${looperIndex} has nothing to export`);
+        return;
+    }
+
+    const blob = encodeWav(looper.recordBufferData, audioCtx.sampleRate);
+    downloadBlob(blob, `glitch-bliss-looper-${looperIndex + 1}-${exportTimestamp()}.wav`);
+    console.log(`Looper ${looperIndex} exported (${looper.recordBufferData[0].length} samples)`);
+}
+
+// Bounce the master output (after the compressor) in real time, starting on the next bar
+function renderSession(seconds) {
+    if (!sessionCapture || isRenderingSession) return;
+
+    // The buffers are allocated here and transferred so the audio thread never allocates
+    const length = Math.round(seconds * audioCtx.sampleRate);
+    const channels = [new Float32Array(length), new Float32Array(length)];
+    const message = { type: 'start', channels };
+    const when = engine.nextQuantizedTime();
+    if (when !== null) {
+        message.atFrame = Math.round(when * audioCtx.sampleRate);
+    }
+
+    isRenderingSession = true;
+    renderButton.disabled = true;
+    renderStatusDisplay.textContent = 'REC 0%';
+    sessionCapture.port.postMessage(message, channels.map(data => data.buffer));
+    console.log(`Rendering ${seconds}s of master output`);
+}
+
+function handleCaptureMessage(message) {
+    switch (message.type) {
+        case 'progress':
+            renderStatusDisplay.textContent = `REC ${Math.round((message.written / message.length) * 100)}%`;
+            break;
+        case 'done': {
+            const blob = encodeWav(message.channels, audioCtx.sampleRate);
+            downloadBlob(blob, `glitch-bliss-session-${exportTimestamp()}.wav`);
+            isRenderingSession = false;
+            renderButton.disabled = false;
+            renderStatusDisplay.textContent = 'DONE';
+            console.log("Session render complete");
+            break;
+        }
+    }
+}
+
+// Parameter update loop
+function updateLooperParameters() {
+    // Automation sets this frame's glitch/speed targets before the engine smooths them
+    loopers.forEach(updateAutomation);
+    engine.tick();
+
+    loopers.forEach((looper, index) => {
+        const smoothers = parameterSmoothers[`looper${index}`];
+
+        // Mixer-style targets and the insert effects
+        looper.playbackGain.gain.value = smoothers.volume.step();
+        looper.reverbSend.gain.value = smoothers.reverbSend.step();
+        updateLooperFx(looper, smoothers);
+
+        // Update UI display
+        updateLooperParameterDisplay(index, looper);
+        drawLooperWaveform(looper);
+    });
+
+    updateClockDisplay();
+    updateInputMeter();
+    updateProgression();
+    updateMixerMeters();
+    updateMasterMeters();
+    updateSceneMorph();
+
+    requestAnimationFrame(updateLooperParameters);
+}
+
+// UI update functions
+function updateLooperUI(looperIndex, state) {
+    const statusEl = document.getElementById(`status-${looperIndex}`);
+    const panel = document.getElementById(`looper-panel-${looperIndex}`);
+
+    if (!statusEl || !panel) return;
+
+    // Remove all state classes
+    panel.querySelectorAll('.looper-btn').forEach(btn => btn.classList.remove('active'));
+    statusEl.classList.remove('recording', 'playing');
+
+    switch(state) {
+        case 'recording':
+            statusEl.textContent = 'RECORDING';
+            statusEl.classList.add('recording');
+            panel.querySelector('.rec-btn').classList.add('active');
+            break;
+        case 'overdubbing':
+            statusEl.textContent = 'OVERDUB';
+            statusEl.classList.add('recording');
+            panel.querySelector('.dub-btn').classList.add('active');
+            break;
+        case 'playing':
+            statusEl.textContent = 'PLAYING';
+            statusEl.classList.add('playing');
+            panel.querySelector('.play-btn').classList.add('active');
+            break;
+        case 'queued':
+            statusEl.textContent = 'WAITING';
+            break;
+        case 'loading':
+            statusEl.textContent = 'LOADING';
+            break;
+        case 'stopped':
+            statusEl.textContent = 'STOPPED';
+            break;
+        case 'cleared':
+            statusEl.textContent = 'READY';
+            break;
+    }
+}
+
+function updateLayerUI(looper) {
+    const panel = document.getElementById(`looper-panel-${looper.index}`);
+    const layersEl = document.getElementById(`layers-${looper.index}`);
+
+    if (!panel || !layersEl) return;
+
+    // The base recording counts as the first layer
+    layersEl.textContent = looper.recordedLength > 0 ? looper.undoDepth + 1 : 0;
+    panel.querySelector('.undo-btn').disabled = looper.undoDepth === 0;
+    panel.querySelector('.redo-btn').disabled = looper.redoDepth === 0;
+}
+
+// Label each looper's GLITCH/SPEED line with the sensor(s) driving it
+function updateMappingLabels() {
+    for (let i = 0; i < loopers.length; i++) {
+        ['glitch', 'speed'].forEach(target => {
+            const labelEl = document.getElementById(`${target}-label-${i}`);
+            if (!labelEl) return;
+            const sources = engine.mappings.filter(m => m.looper === i && m.target === target).map(m => m.source);
+            let label = '-';
+            if (sources.length === 1) label = SENSOR_SOURCES[sources[0]];
+            if (sources.length > 1) label = 'mix';
+            labelEl.textContent = `${MAPPING_TARGETS[target]} [${label}]`;
+        });
+    }
+}
+
+function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    Object.keys(options).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = options[key];
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createNumberInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.max = 100;
+    input.step = 1;
+    input.value = Math.round(value * 100);
+    input.addEventListener('change', () => onChange(Math.max(0, Math.min(100, parseFloat(input.value) || 0)) / 100));
+    return input;
+}
+
+// Rebuild the mapping matrix table from the engine.mappings array
+function renderMappingMatrix() {
+    const body = document.getElementById('mappingRows');
+    body.innerHTML = '';
+
+    // Mappings can point at a looper that's been removed - keep it selectable
+    const looperOptions = {};
+    const looperCount = Math.max(looperSlotCount(), ...engine.mappings.map(m => m.looper + 1));
+    for (let i = 0; i < looperCount; i++) looperOptions[i] = `LOOPER ${i + 1}`;
+    const curveOptions = {};
+    MAPPING_CURVES.forEach(curve => curveOptions[curve] = curve.toUpperCase());
+
+    engine.mappings.forEach((mapping, index) => {
+        const row = document.createElement('tr');
+        const update = (key, parse) => (value) => {
+            mapping[key] = parse ? parse(value) : value;
+            updateMappingLabels();
+            engine.applyMappings();
+        };
+
+        const invert = document.createElement('input');
+        invert.type = 'checkbox';
+        invert.checked = mapping.invert;
+        invert.addEventListener('change', () => update('invert')(invert.checked));
+
+        const remove = document.createElement('button');
+        remove.className = 'looper-btn';
+        remove.textContent = 'X';
+        remove.addEventListener('click', () => {
+            engine.mappings.splice(index, 1);
+            renderMappingMatrix();
+            engine.applyMappings();
+        });
+
+        [
+            createSelect(SENSOR_SOURCES, mapping.source, update('source')),
+            createSelect(MAPPING_TARGETS, mapping.target, update('target')),
+            createSelect(looperOptions, mapping.looper, update('looper', Number)),
+            createNumberInput(mapping.min, update('min')),
+            createNumberInput(mapping.max, update('max')),
+            invert,
+            createSelect(curveOptions, mapping.curve, update('curve')),
+            createNumberInput(mapping.deadZone, update('deadZone')),
+            remove
+        ].forEach(control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+    });
+
+    updateMappingLabels();
+}
+
+function updateTriggerStatus() {
+    const states = [];
+    if (engine.glitchFrozen) states.push('GLITCH FROZEN');
+    if (loopers.some(looper => looper.speedOverride !== null)) states.push('SPEEDS HELD');
+    document.getElementById('triggerStatus').textContent = states.join(' + ') || '--';
+}
+
+function flashTriggerRow(gesture) {
+    const row = document.querySelector(`#triggerRows tr[data-gesture="${gesture}"]`);
+    if (!row) return;
+    row.classList.add('fired');
+    setTimeout(() => row.classList.remove('fired'), 300);
+}
+
+function renderTriggerRows() {
+    const body = document.getElementById('triggerRows');
+    body.innerHTML = '';
+
+    Object.keys(TRIGGER_GESTURES).forEach(gesture => {
+        const settings = triggerSettings[gesture];
+        const row = document.createElement('tr');
+        row.dataset.gesture = gesture;
+
+        const name = document.createElement('span');
+        name.textContent = TRIGGER_GESTURES[gesture];
+
+        // TEST runs the action without the gesture - handy away from a phone
+        const test = document.createElement('button');
+        test.className = 'looper-btn';
+        test.textContent = 'TEST';
+        test.addEventListener('click', () => {
+            flashTriggerRow(gesture);
+            runTriggerAction(settings.action);
+        });
+
+        [
+            name,
+            createSelect(TRIGGER_ACTIONS, settings.action, value => {
+                settings.action = value;
+                saveTriggerSettings();
+            }),
+            createNumberInput(settings.sensitivity, value => {
+                settings.sensitivity = value;
+                saveTriggerSettings();
+            }),
+            test
+        ].forEach(control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+    });
+}
+
+function initTriggerControls() {
+    loadTriggerSettings();
+    renderTriggerRows();
+    updateTriggerStatus();
+}
+
+function renderMappingPresetList() {
+    const select = document.getElementById('mappingPresetSelect');
+    select.innerHTML = '<option value="default">DEFAULT</option>';
+    Object.keys(loadMappingPresets()).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
+function initMappingControls() {
+    renderMappingMatrix();
+    renderMappingPresetList();
+
+    document.getElementById('addMappingButton').addEventListener('click', () => {
+        engine.mappings.push(createMapping('gamma', 'glitch', 0));
+        renderMappingMatrix();
+        engine.applyMappings();
+    });
+
+    document.getElementById('saveMappingButton').addEventListener('click', () => {
+        const name = document.getElementById('mappingPresetName').value.trim();
+        if (!name || name === 'default') {
+            alert("Give the preset a name");
+            return;
+        }
+        saveMappingPreset(name);
+        renderMappingPresetList();
+        document.getElementById('mappingPresetSelect').value = name;
+    });
+
+    document.getElementById('loadMappingButton').addEventListener('click', () => {
+        applyMappingPreset(document.getElementById('mappingPresetSelect').value);
+    });
+
+    document.getElementById('deleteMappingButton').addEventListener('click', () => {
+        const name = document.getElementById('mappingPresetSelect').value;
+        if (name === 'default') return;
+        if (confirm(`Delete preset "${name}"?`)) {
+            deleteMappingPreset(name);
+            renderMappingPresetList();
+        }
+    });
+}
+
+// Sensor simulator - XY pad (gamma/beta), alpha dial and keyboard, for desktops without motion sensors
+function emitSimulatedOrientation() {
+    simOrientation.gamma = Math.max(-90, Math.min(90, simOrientation.gamma));
+    simOrientation.beta = Math.max(-180, Math.min(180, simOrientation.beta));
+    simOrientation.alpha = ((simOrientation.alpha % 360) + 360) % 360;
+
+    const padDot = document.getElementById('simPadDot');
+    padDot.style.left = ((simOrientation.gamma + 90) / 180) * 100 + '%';
+    padDot.style.top = ((simOrientation.beta + 180) / 360) * 100 + '%';
+    document.getElementById('simDialPointer').style.transform = `rotate(${simOrientation.alpha}deg)`;
+
+    handleOrientation({ alpha: simOrientation.alpha, beta: simOrientation.beta, gamma: simOrientation.gamma });
+}
+
+// Run a pointer drag on an element, reporting positions relative to its box
+function trackPointerDrag(element, onMove) {
+    element.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        element.setPointerCapture(e.pointerId);
+        const move = (moveEvent) => {
+            const rect = element.getBoundingClientRect();
+            onMove(moveEvent.clientX - rect.left, moveEvent.clientY - rect.top, rect);
+        };
+        const end = () => {
+            element.removeEventListener('pointermove', move);
+            element.removeEventListener('pointerup', end);
+            element.removeEventListener('pointercancel', end);
+        };
+        move(e);
+        element.addEventListener('pointermove', move);
+        element.addEventListener('pointerup', end);
+        element.addEventListener('pointercancel', end);
+    });
+}
+
+function toggleSimulator(open) {
+    const panel = document.getElementById('sensor-simulator');
+    panel.classList.toggle('open', open);
+    document.getElementById('simulatorToggle').classList.toggle('active', panel.classList.contains('open'));
+}
+
+function updateGestureUI() {
+    document.getElementById('gestureRecButton').classList.toggle('active', !!gestureRecording);
+    document.getElementById('gesturePlayButton').classList.toggle('active', !!gesturePlayback);
+    document.getElementById('gestureStatus').textContent = gestureRecording
+        ? 'RECORDING'
+        : gesturePlayback
+            ? 'PLAYING'
+            : recordedGesture ? `${recordedGesture.events.length} EVENTS` : 'EMPTY';
+}
+
+function initSensorSimulator() {
+    trackPointerDrag(document.getElementById('simPad'), (x, y, rect) => {
+        simOrientation.gamma = (x / rect.width) * 180 - 90;
+        simOrientation.beta = (y / rect.height) * 360 - 180;
+        emitSimulatedOrientation();
+    });
+
+    trackPointerDrag(document.getElementById('simDial'), (x, y, rect) => {
+        const angle = Math.atan2(x - rect.width / 2, -(y - rect.height / 2)) * 180 / Math.PI;
+        simOrientation.alpha = angle;
+        emitSimulatedOrientation();
+    });
+
+    // Arrow keys tilt, [ and ] rotate - only while the simulator is open and not typing
+    document.addEventListener('keydown', (e) => {
+        if (!document.getElementById('sensor-simulator').classList.contains('open')) return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+        const steps = {
+            ArrowLeft: ['gamma', -SIMULATOR_KEY_STEP],
+            ArrowRight: ['gamma', SIMULATOR_KEY_STEP],
+            ArrowUp: ['beta', -SIMULATOR_KEY_STEP * 2],
+            ArrowDown: ['beta', SIMULATOR_KEY_STEP * 2],
+            '[': ['alpha', -SIMULATOR_KEY_STEP * 2],
+            ']': ['alpha', SIMULATOR_KEY_STEP * 2]
+        };
+        if (!steps[e.key]) return;
+
+        e.preventDefault();
+        simOrientation[steps[e.key][0]] += steps[e.key][1];
+        emitSimulatedOrientation();
+    });
+
+    document.getElementById('simulatorToggle').addEventListener('click', () => toggleSimulator());
+
+    document.getElementById('gestureRecButton').addEventListener('click', () => {
+        if (gestureRecording) {
+            stopGestureRecording();
+        } else {
+            startGestureRecording();
+        }
+        updateGestureUI();
+    });
+
+    document.getElementById('gesturePlayButton').addEventListener('click', () => {
+        if (gesturePlayback) {
+            stopGesturePlayback();
+        } else {
+            playGesture(recordedGesture, document.getElementById('gestureLoopToggle').checked);
+        }
+        updateGestureUI();
+    });
+
+    document.getElementById('gestureSaveButton').addEventListener('click', () => {
+        if (!recordedGesture) return;
+        const blob = new Blob([JSON.stringify(recordedGesture)], { type: 'application/json' });
+        downloadBlob(blob, `glitch-bliss-gesture-${exportTimestamp()}.json`);
+    });
+
+    const gestureFileInput = document.getElementById('gestureFileInput');
+    document.getElementById('gestureLoadButton').addEventListener('click', () => gestureFileInput.click());
+    gestureFileInput.addEventListener('change', () => {
+        const file = gestureFileInput.files[0];
+        gestureFileInput.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => {
+                recordedGesture = parseGesture(text);
+                updateGestureUI();
+                console.log(`Loaded gesture ${file.name} (${recordedGesture.events.length} events)`);
+            })
+            .catch(err => {
+                console.error("Failed to load gesture:", err);
+                alert("Couldn't load " + file.name + ": " + err.message);
+            });
+    });
+
+    updateGestureUI();
+}
+
+// Mixer UI - one strip per looper plus the synth pad, built once audio has started
+function createStripSlider(className, min, max, value, onInput) {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = className;
+    slider.min = min;
+    slider.max = max;
+    slider.step = 1;
+    slider.value = value;
+    slider.addEventListener('input', () => onInput(parseInt(slider.value)));
+    return slider;
+}
+
+function createStripButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'looper-btn';
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+function renderMixer() {
+    const container = document.getElementById('mixerStrips');
+    container.innerHTML = '';
+
+    const channels = [{ label: 'PAD', strip: padChannel }].concat(
+        loopers.map(looper => ({ label: `L${looper.index + 1}`, strip: looper.channel }))
+    );
+
+    channels.forEach(({ label, strip }) => {
+        const el = document.createElement('div');
+        el.className = 'mixer-strip';
+
+        const name = document.createElement('div');
+        name.className = 'mixer-strip-name';
+        name.textContent = label;
+
+        const meter = document.createElement('div');
+        meter.className = 'level-meter mixer-meter';
+        const meterFill = document.createElement('div');
+        meterFill.className = 'level-meter-fill';
+        meter.appendChild(meterFill);
+        strip.meterEl = meterFill;
+
+        const fader = createStripSlider('mixer-fader', 0, 150, Math.round(strip.fader.gain.value * 100), value => {
+            strip.fader.gain.setTargetAtTime(value / 100, audioCtx.currentTime, 0.02);
+        });
+        const pan = createStripSlider('mixer-pan', -100, 100, Math.round(strip.panner.pan.value * 100), value => {
+            strip.panner.pan.setTargetAtTime(value / 100, audioCtx.currentTime, 0.02);
+        });
+        const send = createStripSlider('mixer-send', 0, 100, Math.round(strip.send.gain.value * 100), value => {
+            strip.send.gain.setTargetAtTime(value / 100, audioCtx.currentTime, 0.02);
+        });
+
+        const mute = createStripButton('M', button => {
+            strip.muted = !strip.muted;
+            button.classList.toggle('active', strip.muted);
+            updateMuteSolo();
+        });
+        const solo = createStripButton('S', button => {
+            strip.soloed = !strip.soloed;
+            button.classList.toggle('active', strip.soloed);
+            updateMuteSolo();
+        });
+        mute.classList.toggle('active', strip.muted);
+        solo.classList.toggle('active', strip.soloed);
+        strip.controls = { fader, pan, send, mute, solo };
+
+        const buttons = document.createElement('div');
+        buttons.className = 'looper-buttons';
+        buttons.append(mute, solo);
+
+        const labelled = (text, control) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'mixer-control';
+            wrapper.append(text, control);
+            return wrapper;
+        };
+
+        el.append(name, meter, labelled('VOL', fader), labelled('PAN', pan), labelled('SEND', send), buttons);
+        container.appendChild(el);
+    });
+}
+
+// FX controls inside each looper panel - the sliders set the resting value of each effect
+function renderLooperFx(looper) {
+    const container = document.querySelector(`.looper-fx[data-looper="${looper.index}"]`);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const filterType = createSelect(FILTER_TYPES, looper.fx.filterType, value => {
+        looper.fx.filterType = value;
+        looper.filter.type = value;
+    });
+    const division = createSelect(
+        Object.keys(DELAY_DIVISIONS).reduce((options, key) => Object.assign(options, { [key]: key }), {}),
+        looper.fx.delayDivision,
+        value => looper.fx.delayDivision = value
+    );
+
+    const selects = document.createElement('div');
+    selects.className = 'param-line';
+    selects.append('FILTER ', filterType, ' DELAY ', division);
+    container.appendChild(selects);
+
+    // Kept so scenes can move the controls without rebuilding them
+    looper.fxControls = { filterType, delayDivision: division };
+
+    LOOPER_FX_LEVELS.forEach(key => {
+        const label = document.createElement('label');
+        label.className = 'mixer-control';
+        const slider = createStripSlider('fx-slider', 0, 100, Math.round(looper.fx[key] * 100), value => {
+            looper.fx[key] = value / 100;
+            engine.applyMappings();
+        });
+        looper.fxControls[key] = slider;
+        label.append(MAPPING_TARGETS[key], slider);
+        container.appendChild(label);
+    });
+}
+
+function updateMixerMeters() {
+    allChannelStrips().forEach(strip => {
+        if (!strip.meterEl) return;
+        const peak = readChannelPeak(strip);
+        strip.meterEl.style.width = Math.min(100, peak * 100) + '%';
+        strip.meterEl.classList.toggle('clipping', peak >= 0.99);
+    });
+}
+
+function applyMasterSettings() {
+    if (!compressor) return;
+    const now = audioCtx.currentTime;
+    compressor.threshold.value = masterSettings.threshold;
+    compressor.knee.value = masterSettings.knee;
+    compressor.ratio.value = masterSettings.ratio;
+    compressor.attack.value = masterSettings.attack;
+    compressor.release.value = masterSettings.release;
+
+    const makeup = Math.pow(10, masterSettings.makeup / 20);
+    masterMakeup.gain.setTargetAtTime(masterSettings.bypass ? 0 : makeup, now, MASTER_BYPASS_GLIDE);
+    masterBypass.gain.setTargetAtTime(masterSettings.bypass ? 1 : 0, now, MASTER_BYPASS_GLIDE);
+}
+
+// Gain reduction comes straight off the compressor (0 to about -30 dB), output level
+// off the analyser with the same peak-hold falloff as the channel strips
+function updateMasterMeters() {
+    if (!masterAnalyser) return;
+
+    const reduction = masterSettings.bypass ? 0 : -compressor.reduction;
+    const reductionBar = document.getElementById('masterReductionMeter');
+    reductionBar.style.width = Math.min(100, reduction / 30 * 100) + '%';
+    document.getElementById('masterReductionValue').textContent = reduction.toFixed(1) + 'dB';
+
+    masterAnalyser.getFloatTimeDomainData(masterMeterData);
+    let peak = 0;
+    for (let i = 0; i < masterMeterData.length; i++) {
+        peak = Math.max(peak, Math.abs(masterMeterData[i]));
+    }
+    masterOutputPeak = Math.max(peak, masterOutputPeak * 0.92);
+    const outputBar = document.getElementById('masterOutputMeter');
+    outputBar.style.width = Math.min(100, masterOutputPeak * 100) + '%';
+    outputBar.classList.toggle('clipping', masterOutputPeak >= 0.99);
+
+    drawVisualizer();
+}
+
+// Spectrum bars with the waveform drawn over them. Reuses the time-domain data
+// the output meter just read
+function drawVisualizer() {
+    const canvas = document.getElementById('visualizerCanvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const styles = getComputedStyle(document.documentElement);
+
+    ctx.fillStyle = styles.getPropertyValue('--bg-color');
+    ctx.fillRect(0, 0, width, height);
+
+    // Log-spaced bars so the low end isn't squashed into a couple of pixels
+    masterAnalyser.getByteFrequencyData(masterSpectrumData);
+    const bars = 64;
+    const barWidth = width / bars;
+    ctx.fillStyle = styles.getPropertyValue('--secondary-color');
+    for (let bar = 0; bar < bars; bar++) {
+        const bin = Math.min(masterSpectrumData.length - 1, Math.floor(Math.pow(masterSpectrumData.length, bar / bars)));
+        const barHeight = masterSpectrumData[bin] / 255 * height;
+        ctx.fillRect(bar * barWidth, height - barHeight, barWidth - 1, barHeight);
+    }
+
+    ctx.strokeStyle = styles.getPropertyValue('--primary-color');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < masterMeterData.length; i++) {
+        const x = i / masterMeterData.length * width;
+        const y = (1 - masterMeterData[i]) * height / 2;
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+}
+
+function updateLooperParameterDisplay(looperIndex, params) {
+    const glitchEl = document.getElementById(`glitch-${looperIndex}`);
+    const speedEl = document.getElementById(`speed-${looperIndex}`);
+
+    if (glitchEl && params.glitchIntensity !== undefined) {
+        glitchEl.textContent = Math.round(params.glitchIntensity * 100) + '%';
+    }
+
+    if (speedEl && params.playbackRate !== undefined) {
+        const rate = params.playbackRate;
+        if (rate < 0) {
+            speedEl.textContent = 'REV ' + Math.abs(rate) + 'x';
+        } else {
+            speedEl.textContent = rate + 'x';
+        }
+    }
+}
+
+// Wire up one generated looper panel
+function initLooperControls(panel) {
+    // Record buttons
+    panel.querySelectorAll('.rec-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            console.log(`Record button clicked for looper ${index}`);
+            if (loopers && loopers[index]) {
+                startRecording(index);
+            }
+        });
+    });
+
+    // Play buttons
+    panel.querySelectorAll('.play-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            console.log(`Play button clicked for looper ${index}`);
+            if (loopers && loopers[index]) {
+                startPlayback(index);
+            }
+        });
+    });
+
+    // Stop buttons
+    panel.querySelectorAll('.stop-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            console.log(`Stop button clicked for looper ${index}`);
+            if (loopers && loopers[index]) {
+                stopLooper(index);
+            }
+        });
+    });
+
+    // Clear buttons
+    panel.querySelectorAll('.clear-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            console.log(`Clear button clicked for looper ${index}`);
+            if (loopers && loopers[index]) {
+                if (confirm('Clear this loop?')) {
+                    clearLoop(index);
+                }
+            }
+        });
+    });
+
+    // Overdub buttons toggle overdubbing on and off
+    panel.querySelectorAll('.dub-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            console.log(`Overdub button clicked for looper ${index}`);
+            if (loopers && loopers[index]) {
+                if (loopers[index].isOverdubbing) {
+                    stopOverdub(index);
+                } else {
+                    startOverdub(index);
+                }
+            }
+        });
+    });
+
+    // Undo/redo buttons
+    panel.querySelectorAll('.undo-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            if (loopers && loopers[index]) {
+                undoLayer(index);
+            }
+        });
+    });
+
+    panel.querySelectorAll('.redo-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            if (loopers && loopers[index]) {
+                redoLayer(index);
+            }
+        });
+    });
+
+    // WAV export buttons
+    panel.querySelectorAll('.export-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            if (loopers && loopers[index]) {
+                exportLooper(index);
+            }
+        });
+    });
+
+    // Audio file import - LOAD button opens the picker, or drop a file onto the panel
+    panel.querySelectorAll('.load-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            panel.querySelector('.file-input').click();
+        });
+    });
+
+    panel.querySelectorAll('.file-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const index = parseInt(input.dataset.looper);
+            if (input.files.length > 0 && loopers && loopers[index]) {
+                importAudioFile(index, input.files[0]);
+            }
+            input.value = '';
+        });
+    });
+
+    const panelIndex = parseInt(panel.querySelector('.rec-btn').dataset.looper);
+    panel.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        panel.classList.add('drag-over');
+    });
+    panel.addEventListener('dragleave', () => {
+        panel.classList.remove('drag-over');
+    });
+    panel.addEventListener('drop', (e) => {
+        e.preventDefault();
+        panel.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file && loopers && loopers[panelIndex]) {
+            importAudioFile(panelIndex, file);
+        }
+    });
+
+    // Input source selectors
+    panel.querySelectorAll('.input-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const index = parseInt(select.dataset.looper);
+            if (!loopers || !loopers[index]) return;
+            setLooperInput(index, select.value).then(changed => {
+                if (!changed) select.value = loopers[index].inputSource;
+            });
+        });
+    });
+
+    // Overdub feedback sliders
+    panel.querySelectorAll('.feedback-slider').forEach(slider => {
+        slider.addEventListener('input', () => {
+            const index = parseInt(slider.dataset.looper);
+            const amount = parseInt(slider.value);
+            document.getElementById(`feedback-value-${index}`).textContent = amount + '%';
+            if (loopers && loopers[index]) {
+                loopers[index].feedbackAmount = amount / 100;
+            }
+        });
+    });
+
+    // Automation: ARM writes a pass (OVERWRITE) or lets movement punch in (TOUCH)
+    panel.querySelectorAll('.automation-arm-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            if (!loopers || !loopers[index]) return;
+            const automation = loopers[index].automation;
+            automation.armed = !automation.armed;
+            if (!automation.armed) automation.pass = null;
+            updateAutomationUI(loopers[index]);
+        });
+    });
+
+    panel.querySelectorAll('.automation-mode').forEach(select => {
+        select.addEventListener('change', () => {
+            const index = parseInt(select.dataset.looper);
+            if (loopers && loopers[index]) loopers[index].automation.mode = select.value;
+        });
+    });
+
+    panel.querySelectorAll('.automation-clear-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = parseInt(btn.dataset.looper);
+            if (loopers && loopers[index]) clearAutomation(index);
+        });
+    });
+
+    // Waveform canvases - drag whichever marker is nearest the pointer
+    panel.querySelectorAll('.looper-waveform').forEach(canvas => {
+        const index = parseInt(canvas.dataset.looper);
+        let dragging = null;
+
+        const sampleAt = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            return x * loopers[index].recordedLength;
+        };
+        const moveMarker = (e) => {
+            const looper = loopers[index];
+            const sample = sampleAt(e);
+            if (dragging === 'start') {
+                setLooperRegion(index, sample, looper.loopEnd);
+            } else {
+                setLooperRegion(index, looper.loopStart, sample);
+            }
+        };
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const looper = loopers[index];
+            if (!looper || looper.recordedLength === 0 || looper.isRecording) return;
+            const sample = sampleAt(e);
+            dragging = Math.abs(sample - looper.loopStart) <= Math.abs(sample - looper.loopEnd) ? 'start' : 'end';
+            canvas.setPointerCapture(e.pointerId);
+            moveMarker(e);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (dragging) moveMarker(e);
+        });
+        const endDrag = () => {
+            if (!dragging) return;
+            dragging = null;
+            const looper = loopers[index];
+            console.log(`Looper ${index} region ${looper.loopStart}-${looper.loopEnd}`);
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+    });
+
+    panel.querySelectorAll('.snap-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            const looper = loopers[parseInt(toggle.dataset.looper)];
+            if (looper) looper.snapToZero = toggle.checked;
+        });
+    });
+
+    panel.querySelectorAll('.crossfade-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const index = parseInt(input.dataset.looper);
+            const looper = loopers[index];
+            const ms = Math.max(0, Math.min(LOOP_CROSSFADE_MAX_MS, parseFloat(input.value) || 0));
+            input.value = ms;
+            if (!looper) return;
+            looper.crossfadeMs = ms;
+            if (looper.recordedLength > 0) setLooperRegion(index, looper.loopStart, looper.loopEnd);
+        });
+    });
+
+    console.log(`Looper ${panelIndex} controls initialized - found`, panel.querySelectorAll('.looper-btn').length, "buttons");
+}
+
+function startOscillators() {
+    console.log("Starting oscillators...");
+
+    if (isPlaying) {
+        console.log("Already playing!");
+        return;
+    }
+
+    // Create audio context on user interaction
+    if (!audioCtx) {
+        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        console.log("Created new AudioContext");
+    }
+
+    console.log("Audio context state:", audioCtx.state);
+
+    // Resume audio context (required on iOS)
+    audioCtx.resume().then(() => {
+        console.log("Audio context resumed, state:", audioCtx.state);
+
+        // Looper recording/playback (loaded by the engine) and the session capture tap run in AudioWorklets
+        return Promise.all([
+            engine.start(audioCtx),
+            audioCtx.audioWorklet.addModule('./capture-processor.js')
+        ]);
+    }).then(() => {
+        console.log("Worklets loaded");
+
+        masterGain = audioCtx.createGain();
+        masterGain.gain.value = 0.5; // Set master volume
+
+        // Master section: bus → compressor → makeup, with a bypass path alongside
+        masterBus = audioCtx.createGain();
+        compressor = audioCtx.createDynamicsCompressor();
+        masterMakeup = audioCtx.createGain();
+        masterBypass = audioCtx.createGain();
+        masterOutput = audioCtx.createGain();
+        masterBus.connect(compressor);
+        compressor.connect(masterMakeup);
+        masterMakeup.connect(masterOutput);
+        masterBus.connect(masterBypass);
+        masterBypass.connect(masterOutput);
+        applyMasterSettings();
+
+        masterAnalyser = audioCtx.createAnalyser();
+        masterAnalyser.fftSize = 2048;
+        masterAnalyser.smoothingTimeConstant = 0.8;
+        masterMeterData = new Float32Array(masterAnalyser.fftSize);
+        masterSpectrumData = new Uint8Array(masterAnalyser.frequencyBinCount);
+        masterOutput.connect(masterAnalyser);
+
+        // Master reverb send bus - the convolver behind it is swapped by updateReverb()
+        masterReverb = audioCtx.createGain();
+
+        // Create wet/dry gains for reverb mix
+        reverbWet = audioCtx.createGain();
+        reverbWet.gain.value = 0; // Start at 0% wet
+        reverbDry = audioCtx.createGain();
+        reverbDry.gain.value = 1; // Start at 100% dry
+
+        // Wire reverb wet/dry split - the pad goes through its channel strip first,
+        // loopers record the pad pre-fader from masterGain
+        padChannel = createChannelStrip(masterGain, reverbDry, masterReverb, 1);
+        updateReverb();
+
+        reverbDry.connect(masterBus);
+        reverbWet.connect(masterBus);
+
+        // Create chord oscillators with LFO swells
+        const chordSystem = createChordOscillators();
+        chordOscillators = chordSystem.oscillators;
+        chordMixer = chordSystem.chordMixer;
+
+        // Connect chord mixer to master gain
+        chordMixer.connect(masterGain);
+
+        // Loopers record the pad from master gain by default; more can be added later
+        for (let i = 0; i < DEFAULT_LOOPER_COUNT; i++) {
+            addLooper();
+        }
+
+        // Final connection: master output → destination
+        masterOutput.connect(audioCtx.destination);
+
+        // Capture tap on the master output for session renders (outputs silence)
+        sessionCapture = new AudioWorkletNode(audioCtx, 'capture-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        sessionCapture.port.onmessage = (e) => handleCaptureMessage(e.data);
+        masterOutput.connect(sessionCapture);
+        sessionCapture.connect(audioCtx.destination);
+        renderButton.disabled = false;
+
+        engine.startClock();
+
+        isPlaying = true;
+
+        console.log("Audio graph: chordMixer → masterGain → [reverb wet/dry + looper worklets] → master bus → compressor → destination");
+
+        console.log(`${chordLabel(harmony)} chord oscillators started with LFO swells`);
+
+        // Start parameter update loop
+        updateLooperParameters();
+
+        // Update UI to show it's playing
+        startButton.textContent = '♪ PLAYING ♪';
+        startButton.style.background = '#00ff00';
+        startButton.style.boxShadow = '0 0 30px #00ff00';
+
+        console.log("✓ Audio system fully initialized and playing!");
+    }).catch(err => {
+        console.error("Failed to start audio:", err);
+        alert("Audio error: " + err.message);
+    });
+}
 
-    switch(state) {
-        case 'recording':
-            statusEl.textContent = 'RECORDING';
-            statusEl.classList.add('recording');
-            panel.querySelector('.rec-btn').classList.add('active');
+// Every action a MIDI control can be bound to, keyed for storage and the learn menu
+function listMidiActions() {
+    const actions = { reverb: 'REVERB MIX' };
+    for (let i = 0; i < looperSlotCount(); i++) {
+        MIDI_TRANSPORT_COMMANDS.forEach(command => {
+            actions[`transport:${i}:${command}`] = `L${i + 1} ${command.toUpperCase()}`;
+        });
+        Object.keys(MAPPING_TARGETS).forEach(target => {
+            actions[`target:${i}:${target}`] = `L${i + 1} ${MAPPING_TARGETS[target]}`;
+        });
+    }
+    return actions;
+}
+
+function runMidiTransport(looperIndex, command) {
+    if (!loopers[looperIndex]) return;
+
+    switch (command) {
+        case 'record':
+            startRecording(looperIndex);
+            break;
+        case 'play':
+            startPlayback(looperIndex);
+            break;
+        case 'stop':
+            stopLooper(looperIndex);
+            break;
+        case 'clear':
+            clearLoop(looperIndex);
+            break;
+        case 'overdub':
+            if (loopers[looperIndex].isOverdubbing) {
+                stopOverdub(looperIndex);
+            } else {
+                startOverdub(looperIndex);
+            }
+            break;
+    }
+}
+
+// Transport actions fire on note-on / CC >= 64; continuous actions take the value as 0-1
+function runMidiAction(action, value, isTrigger) {
+    const [type, looper, name] = action.split(':');
+
+    switch (type) {
+        case 'reverb':
+            reverbSlider.value = Math.round(value * 100);
+            reverbSlider.dispatchEvent(new Event('input'));
+            break;
+        case 'transport':
+            if (isTrigger) runMidiTransport(parseInt(looper), name);
+            break;
+        case 'target':
+            midiTargetValues[`${looper}:${name}`] = value;
+            engine.applyMappings();
+            break;
+    }
+}
+
+function handleMidiMessage(event) {
+    const [status, number, data] = event.data;
+    const kind = status & 0xF0;
+    const channel = status & 0x0F;
+
+    let type = null;
+    if (kind === 0x90 || kind === 0x80) type = 'note';
+    if (kind === 0xB0) type = 'cc';
+    if (!type) return;
+
+    // Transport fires once per press - a note going down, or a CC crossing up through 64.
+    // Note-on with velocity 0 is a note-off
+    const key = `${type}:${channel}:${number}`;
+    const held = type === 'note' ? kind === 0x90 && data > 0 : data >= 64;
+    const isTrigger = held && !midiHeld[key];
+    midiHeld[key] = held;
+    if (type === 'note' && !held) return;
+
+    if (midiLearnAction) {
+        midiBindings = midiBindings.filter(b => b.action !== midiLearnAction);
+        midiBindings.push({ type, channel, number, action: midiLearnAction });
+        saveMidiBindings();
+        console.log(`MIDI learn: ${type} ${number} (ch ${channel + 1}) → ${midiLearnAction}`);
+        midiLearnAction = null;
+        renderMidiBindings();
+        return;
+    }
+
+    const value = data / 127;
+    midiBindings
+        .filter(b => b.type === type && b.channel === channel && b.number === number)
+        .forEach(b => runMidiAction(b.action, value, isTrigger));
+}
+
+// Send gamma/beta/alpha as CCs so the phone can drive a DAW
+function sendOrientationCCs() {
+    if (!midiOutput) return;
+
+    ['gamma', 'beta', 'alpha'].forEach(axis => {
+        const value = Math.max(0, Math.min(127, Math.round(sensorValues[axis] * 127)));
+        if (midiSentValues[axis] === value) return;
+        midiSentValues[axis] = value;
+        midiOutput.send([0xB0 | midiOutputSettings.channel, midiOutputSettings[axis], value]);
+    });
+}
+
+function loadMidiBindings() {
+    try {
+        midiBindings = JSON.parse(localStorage.getItem(MIDI_BINDINGS_KEY)) || [];
+    } catch (err) {
+        console.error("Couldn't read MIDI bindings:", err);
+        midiBindings = [];
+    }
+}
+
+function saveMidiBindings() {
+    localStorage.setItem(MIDI_BINDINGS_KEY, JSON.stringify(midiBindings));
+}
+
+// Attach to every MIDI input, and keep the output list current as devices come and go
+function connectMidiPorts() {
+    midiAccess.inputs.forEach(input => {
+        input.onmidimessage = handleMidiMessage;
+    });
+
+    const outputSelect = document.getElementById('midiOutputSelect');
+    const selected = outputSelect.value;
+    outputSelect.innerHTML = '<option value="">NO OUTPUT</option>';
+    midiAccess.outputs.forEach(output => {
+        const option = document.createElement('option');
+        option.value = output.id;
+        option.textContent = output.name;
+        outputSelect.appendChild(option);
+    });
+    outputSelect.value = midiAccess.outputs.has(selected) ? selected : '';
+    midiOutput = midiAccess.outputs.get(outputSelect.value) || null;
+
+    document.getElementById('midiStatus').textContent = `${midiAccess.inputs.size} IN / ${midiAccess.outputs.size} OUT`;
+}
+
+function enableMidi() {
+    if (!navigator.requestMIDIAccess) {
+        alert("Web MIDI isn't supported in this browser");
+        return;
+    }
+
+    navigator.requestMIDIAccess().then(access => {
+        midiAccess = access;
+        midiAccess.onstatechange = connectMidiPorts;
+        connectMidiPorts();
+        document.getElementById('midiButton').classList.add('active');
+        console.log("MIDI enabled");
+    }).catch(err => {
+        console.error("MIDI error:", err);
+        alert("MIDI unavailable: " + err.message);
+    });
+}
+
+function renderMidiBindings() {
+    const actions = listMidiActions();
+    const list = document.getElementById('midiBindingList');
+    list.innerHTML = '';
+
+    midiBindings.forEach((binding, index) => {
+        const row = document.createElement('div');
+        row.className = 'param-line';
+        row.textContent = `${binding.type.toUpperCase()} ${binding.number} CH${binding.channel + 1} → ${actions[binding.action] || binding.action} `;
+
+        const remove = document.createElement('button');
+        remove.className = 'looper-btn';
+        remove.textContent = 'X';
+        remove.addEventListener('click', () => {
+            const removed = midiBindings.splice(index, 1)[0];
+            delete midiTargetValues[removed.action.split(':').slice(1).join(':')];
+            saveMidiBindings();
+            renderMidiBindings();
+            engine.applyMappings();
+        });
+        row.appendChild(remove);
+        list.appendChild(row);
+    });
+
+    document.getElementById('midiLearnButton').classList.toggle('active', !!midiLearnAction);
+    document.getElementById('midiLearnButton').textContent = midiLearnAction ? 'WAITING...' : 'LEARN';
+}
+
+// Rebuilt whenever loopers are added or removed
+function renderMidiActionSelect() {
+    const actionSelect = document.getElementById('midiActionSelect');
+    const selected = actionSelect.value;
+    const actions = listMidiActions();
+    actionSelect.innerHTML = '';
+    Object.keys(actions).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = actions[key];
+        actionSelect.appendChild(option);
+    });
+    if (actions[selected]) actionSelect.value = selected;
+}
+
+function initMidiControls() {
+    loadMidiBindings();
+
+    const actionSelect = document.getElementById('midiActionSelect');
+    renderMidiActionSelect();
+
+    document.getElementById('midiButton').addEventListener('click', enableMidi);
+
+    document.getElementById('midiLearnButton').addEventListener('click', () => {
+        if (!midiAccess) {
+            enableMidi();
+        }
+        midiLearnAction = midiLearnAction ? null : actionSelect.value;
+        renderMidiBindings();
+    });
+
+    document.getElementById('midiOutputSelect').addEventListener('change', function() {
+        midiOutput = midiAccess ? midiAccess.outputs.get(this.value) || null : null;
+        midiSentValues = {};
+    });
+
+    document.getElementById('midiChannelSelect').addEventListener('change', function() {
+        midiOutputSettings.channel = parseInt(this.value);
+        midiSentValues = {};
+    });
+
+    document.querySelectorAll('.midi-cc-input').forEach(input => {
+        input.addEventListener('change', () => {
+            midiOutputSettings[input.dataset.axis] = Math.max(0, Math.min(127, parseInt(input.value) || 0));
+            midiSentValues = {};
+        });
+    });
+
+    renderMidiBindings();
+}
+
+function initHarmonyControls() {
+    const rootSelect = document.getElementById('chordRootSelect');
+    const qualitySelect = document.getElementById('chordQualitySelect');
+    const voicingSelect = document.getElementById('chordVoicingSelect');
+    const progressionButton = document.getElementById('progressionButton');
+
+    NOTE_NAMES.forEach(note => rootSelect.add(new Option(note, note)));
+    Object.keys(CHORD_QUALITIES).forEach(quality => qualitySelect.add(new Option(quality, quality)));
+    CHORD_VOICINGS.forEach(voicing => voicingSelect.add(new Option(voicing.toUpperCase(), voicing)));
+    rootSelect.value = harmony.root;
+    qualitySelect.value = harmony.quality;
+    voicingSelect.value = harmony.voicing;
+
+    const applyManualChord = () => setChord({ root: rootSelect.value, quality: qualitySelect.value });
+    rootSelect.addEventListener('change', applyManualChord);
+    qualitySelect.addEventListener('change', applyManualChord);
+    voicingSelect.addEventListener('change', () => {
+        harmony.voicing = voicingSelect.value;
+        setChord(harmony);
+    });
+
+    document.getElementById('waveformSelect').addEventListener('change', function() {
+        setWaveform(this.value);
+    });
+
+    document.getElementById('detuneInput').addEventListener('change', function() {
+        setDetune(Math.max(0, Math.min(50, parseFloat(this.value) || 0)));
+    });
+
+    document.getElementById('glideInput').addEventListener('change', function() {
+        harmony.glide = Math.max(0, Math.min(10, parseFloat(this.value) || 0));
+    });
+
+    document.getElementById('progressionUnitSelect').addEventListener('change', function() {
+        progression.unit = this.value;
+    });
+
+    document.getElementById('progressionIntervalInput').addEventListener('change', function() {
+        progression.interval = Math.max(0.25, parseFloat(this.value) || 1);
+    });
+
+    progressionButton.addEventListener('click', () => {
+        if (progression.running) {
+            stopProgression();
+        } else if (!chordOscillators) {
+            alert("Start the audio first");
+            return;
+        } else {
+            startProgression(document.getElementById('progressionInput').value);
+        }
+        progressionButton.textContent = progression.running ? 'STOP' : 'START';
+        progressionButton.classList.toggle('active', progression.running);
+    });
+}
+
+function syncMasterControls() {
+    document.getElementById('masterThresholdInput').value = masterSettings.threshold;
+    document.getElementById('masterRatioInput').value = masterSettings.ratio;
+    document.getElementById('masterAttackInput').value = Math.round(masterSettings.attack * 1000);
+    document.getElementById('masterReleaseInput').value = Math.round(masterSettings.release * 1000);
+    document.getElementById('masterMakeupInput').value = masterSettings.makeup;
+    document.getElementById('masterBypassToggle').checked = masterSettings.bypass;
+}
+
+function initMasterControls() {
+    syncMasterControls();
+
+    // Same ranges as the DynamicsCompressorNode params; attack/release shown in ms
+    const fields = [
+        ['masterThresholdInput', 'threshold', -100, 0, 1],
+        ['masterRatioInput', 'ratio', 1, 20, 1],
+        ['masterAttackInput', 'attack', 0, 1, 1000],
+        ['masterReleaseInput', 'release', 0, 1, 1000],
+        ['masterMakeupInput', 'makeup', 0, 24, 1]
+    ];
+    fields.forEach(([id, key, min, max, scale]) => {
+        document.getElementById(id).addEventListener('change', function() {
+            const value = parseFloat(this.value) / scale;
+            masterSettings[key] = Math.max(min, Math.min(max, isNaN(value) ? masterSettings[key] : value));
+            this.value = Math.round(masterSettings[key] * scale * 10) / 10;
+            applyMasterSettings();
+        });
+    });
+
+    document.getElementById('masterBypassToggle').addEventListener('change', function() {
+        masterSettings.bypass = this.checked;
+        applyMasterSettings();
+        console.log("Master compressor", masterSettings.bypass ? "bypassed" : "active");
+    });
+}
+
+function syncReverbControls() {
+    const presetSelect = document.getElementById('reverbPresetSelect');
+    presetSelect.innerHTML = '';
+    Object.keys(REVERB_PRESETS).forEach(name => presetSelect.add(new Option(name.toUpperCase(), name)));
+    if (reverbSettings.irName) {
+        presetSelect.add(new Option('IR: ' + reverbSettings.irName, 'ir'));
+        presetSelect.value = 'ir';
+    } else {
+        presetSelect.value = reverbSettings.preset;
+    }
+
+    document.getElementById('reverbDecayInput').value = reverbSettings.decay;
+    document.getElementById('reverbDecayInput').disabled = !!reverbSettings.irName;
+    document.getElementById('reverbPreDelayInput').value = Math.round(reverbSettings.preDelay * 1000);
+    document.getElementById('reverbDampingInput').value = Math.round(reverbSettings.damping * 100);
+    document.getElementById('reverbWidthInput').value = Math.round(reverbSettings.width * 100);
+}
+
+function initReverbControls() {
+    syncReverbControls();
+
+    document.getElementById('reverbPresetSelect').addEventListener('change', function() {
+        if (this.value === 'ir') return;
+        if (!audioCtx) {
+            // Nothing to regenerate yet - startOscillators() picks the settings up
+            Object.assign(reverbSettings, REVERB_PRESETS[this.value], { preset: this.value, irName: null });
+            reverbIR = null;
+            syncReverbControls();
+            return;
+        }
+        applyReverbPreset(this.value);
+    });
+
+    const fields = [
+        ['reverbDecayInput', 'decay', 0.1, REVERB_MAX_SECONDS, 1],
+        ['reverbPreDelayInput', 'preDelay', 0, REVERB_MAX_PREDELAY, 1000],
+        ['reverbDampingInput', 'damping', 0, 1, 100],
+        ['reverbWidthInput', 'width', 0, 1, 100]
+    ];
+    fields.forEach(([id, key, min, max, scale]) => {
+        document.getElementById(id).addEventListener('change', function() {
+            const value = parseFloat(this.value) / scale;
+            reverbSettings[key] = Math.max(min, Math.min(max, isNaN(value) ? reverbSettings[key] : value));
+            this.value = Math.round(reverbSettings[key] * scale * 10) / 10;
+            scheduleReverbUpdate();
+        });
+    });
+
+    const fileInput = document.getElementById('reverbFileInput');
+    document.getElementById('reverbLoadButton').addEventListener('click', () => {
+        if (!audioCtx) {
+            alert("Start the audio first");
+            return;
+        }
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) loadReverbIR(file);
+    });
+}
+
+// Everything a scene recalls: the reverb mix, the mixer and each looper's play state,
+// held speed/glitch and effects. Loop audio stays out - scenes are about the mix
+function captureScene() {
+    return {
+        reverb: parseInt(reverbSlider.value) / 100,
+        mixer: allChannelStrips().map(strip => ({
+            gain: strip.fader.gain.value,
+            pan: strip.panner.pan.value,
+            send: strip.send.gain.value,
+            muted: strip.muted,
+            soloed: strip.soloed
+        })),
+        loopers: loopers.map(looper => ({
+            isPlaying: looper.isPlaying,
+            speed: looper.targetPlaybackRate || 1,
+            glitch: looper.smoothers.glitchIntensity.targetValue,
+            fx: Object.assign({}, looper.fx)
+        }))
+    };
+}
+
+// Blend two scenes: levels are interpolated, switches (play states, mutes, speeds,
+// filter types) flip over at the halfway point
+function mixScenes(a, b, amount) {
+    const lerp = (from, to) => from + (to - from) * amount;
+    const near = amount < 0.5 ? a : b;
+
+    return {
+        reverb: lerp(a.reverb, b.reverb),
+        mixer: near.mixer.map((strip, index) => {
+            const from = a.mixer[index];
+            const to = b.mixer[index];
+            if (!from || !to) return strip;
+            return Object.assign({}, strip, {
+                gain: lerp(from.gain, to.gain),
+                pan: lerp(from.pan, to.pan),
+                send: lerp(from.send, to.send)
+            });
+        }),
+        loopers: near.loopers.map((looper, index) => {
+            const from = a.loopers[index];
+            const to = b.loopers[index];
+            if (!from || !to) return looper;
+            const fx = Object.assign({}, looper.fx);
+            LOOPER_FX_LEVELS.forEach(key => fx[key] = lerp(from.fx[key], to.fx[key]));
+            return Object.assign({}, looper, { glitch: lerp(from.glitch, to.glitch), fx });
+        })
+    };
+}
+
+// Push a scene's levels into the mix. Speed and glitch are held against motion
+// until released; play states go separately through applySceneTransport()
+function applySceneLevels(scene) {
+    setReverbMix(Math.round(scene.reverb * 100));
+
+    const now = audioCtx.currentTime;
+    const strips = allChannelStrips();
+    let switched = false;
+    scene.mixer.forEach((saved, index) => {
+        const strip = strips[index];
+        if (!strip) return;
+        strip.fader.gain.setTargetAtTime(saved.gain, now, 0.02);
+        strip.panner.pan.setTargetAtTime(saved.pan, now, 0.02);
+        strip.send.gain.setTargetAtTime(saved.send, now, 0.02);
+        if (strip.muted !== saved.muted || strip.soloed !== saved.soloed) {
+            strip.muted = saved.muted;
+            strip.soloed = saved.soloed;
+            switched = true;
+        }
+        if (strip.controls) {
+            strip.controls.fader.value = Math.round(saved.gain * 100);
+            strip.controls.pan.value = Math.round(saved.pan * 100);
+            strip.controls.send.value = Math.round(saved.send * 100);
+            strip.controls.mute.classList.toggle('active', strip.muted);
+            strip.controls.solo.classList.toggle('active', strip.soloed);
+        }
+    });
+    if (switched) updateMuteSolo();
+
+    scene.loopers.forEach((saved, index) => {
+        const looper = loopers[index];
+        if (!looper) return;
+        looper.speedOverride = saved.speed;
+        looper.glitchOverride = saved.glitch;
+        Object.assign(looper.fx, saved.fx);
+        looper.filter.type = looper.fx.filterType;
+        if (looper.fxControls) {
+            looper.fxControls.filterType.value = looper.fx.filterType;
+            looper.fxControls.delayDivision.value = looper.fx.delayDivision;
+            LOOPER_FX_LEVELS.forEach(key => looper.fxControls[key].value = Math.round(looper.fx[key] * 100));
+        }
+    });
+
+    engine.applyMappings();
+    updateTriggerStatus();
+}
+
+// Start and stop loopers to match the scene. Loopers that are recording are left alone
+function applySceneTransport(scene, when) {
+    scene.loopers.forEach((saved, index) => {
+        const looper = loopers[index];
+        if (!looper || looper.isRecording) return;
+        if (saved.isPlaying && !looper.isPlaying) {
+            looper.play(when);
+        } else if (!saved.isPlaying && looper.isPlaying) {
+            looper.stop(when);
+        }
+    });
+}
+
+function storeScene(slot) {
+    if (loopers.length === 0) {
+        alert("Start the audio before storing a scene");
+        return;
+    }
+    scenes[slot] = captureScene();
+    console.log(`Scene ${slot + 1} stored`);
+    renderSceneSlots();
+}
+
+// Recall now (transport still follows the clock's quantize setting) or on the next bar,
+// when the levels switch over with the loopers
+function recallScene(slot) {
+    const scene = scenes[slot];
+    if (!scene || loopers.length === 0) return;
+
+    if (scenePending) clearTimeout(scenePending.timer);
+    scenePending = null;
+    sceneMorph.active = false;
+    sceneMorph.applied = null;
+    sceneMorph.side = null;
+
+    const finish = () => {
+        scenePending = null;
+        sceneCurrent = slot;
+        applySceneLevels(scene);
+        renderSceneSlots();
+        console.log(`Scene ${slot + 1} recalled`);
+    };
+
+    if (sceneRecallMode === 'bar' && clock.tempoLocked) {
+        const when = engine.nextBoundaryTime(engine.secondsPerBar());
+        applySceneTransport(scene, when);
+        scenePending = { slot, timer: setTimeout(finish, (when - audioCtx.currentTime) * 1000) };
+        renderSceneSlots();
+    } else {
+        applySceneTransport(scene, engine.nextQuantizedTime());
+        finish();
+    }
+}
+
+// Hand speed and glitch back to the motion mappings
+function releaseScene() {
+    loopers.forEach(looper => {
+        looper.speedOverride = null;
+        looper.glitchOverride = null;
+    });
+    sceneMorph.active = false;
+    sceneMorph.applied = null;
+    sceneMorph.side = null;
+    sceneCurrent = null;
+    engine.applyMappings();
+    updateTriggerStatus();
+    renderSceneSlots();
+}
+
+function setSceneMorphTarget(amount) {
+    if (Math.abs(amount - sceneMorph.smoother.targetValue) < SCENE_MORPH_EPSILON) return;
+    sceneMorph.smoother.setTarget(amount);
+    sceneMorph.active = true;
+    document.getElementById('sceneMorphSlider').value = Math.round(amount * 100);
+}
+
+// With a tilt axis picked as the morph source, moving it takes the crossfader over
+function followSceneMorphSource() {
+    if (sceneMorph.source === 'manual') return;
+    setSceneMorphTarget(sensorValues[sceneMorph.source]);
+}
+
+// Called every frame: glide the crossfader through the smoother and re-blend the scenes
+function updateSceneMorph() {
+    const amount = sceneMorph.smoother.step();
+    const a = scenes[sceneMorph.a];
+    const b = scenes[sceneMorph.b];
+    if (!sceneMorph.active || !a || !b || loopers.length === 0) return;
+    if (sceneMorph.applied !== null && Math.abs(amount - sceneMorph.applied) < SCENE_MORPH_EPSILON) return;
+
+    const blend = mixScenes(a, b, amount);
+    applySceneLevels(blend);
+    sceneMorph.applied = amount;
+
+    const side = amount < 0.5 ? 'a' : 'b';
+    if (side !== sceneMorph.side) {
+        sceneMorph.side = side;
+        applySceneTransport(blend, engine.nextQuantizedTime());
+    }
+}
+
+function renderSceneSlots() {
+    const container = document.getElementById('sceneSlots');
+    container.innerHTML = '';
+
+    for (let slot = 0; slot < SCENE_SLOTS; slot++) {
+        const button = createStripButton(String(slot + 1), () => {
+            if (sceneStoreArmed) {
+                sceneStoreArmed = false;
+                storeScene(slot);
+            } else {
+                recallScene(slot);
+            }
+        });
+        button.classList.add('scene-slot');
+        button.classList.toggle('stored', !!scenes[slot]);
+        button.classList.toggle('current', sceneCurrent === slot);
+        button.classList.toggle('queued', !!scenePending && scenePending.slot === slot);
+        container.appendChild(button);
+    }
+
+    const storeButton = document.getElementById('sceneStoreButton');
+    storeButton.classList.toggle('active', sceneStoreArmed);
+    storeButton.textContent = sceneStoreArmed ? 'PICK SLOT' : 'STORE';
+
+    let status = '--';
+    if (scenePending) {
+        status = `${scenePending.slot + 1} ON NEXT BAR`;
+    } else if (sceneCurrent !== null) {
+        status = `${sceneCurrent + 1}`;
+    }
+    document.getElementById('sceneStatus').textContent = status;
+}
+
+function initSceneControls() {
+    const slotOptions = {};
+    for (let slot = 0; slot < SCENE_SLOTS; slot++) slotOptions[slot] = `SCENE ${slot + 1}`;
+    const sourceOptions = Object.assign({ manual: 'MANUAL' }, SENSOR_SOURCES);
+
+    const morphControls = document.getElementById('sceneMorphControls');
+    const slider = document.getElementById('sceneMorphSlider');
+    const aSelect = createSelect(slotOptions, sceneMorph.a, value => {
+        sceneMorph.a = Number(value);
+        sceneMorph.applied = null;
+        sceneMorph.side = null;
+    });
+    const bSelect = createSelect(slotOptions, sceneMorph.b, value => {
+        sceneMorph.b = Number(value);
+        sceneMorph.applied = null;
+        sceneMorph.side = null;
+    });
+    const sourceSelect = createSelect(sourceOptions, sceneMorph.source, value => {
+        sceneMorph.source = value;
+        slider.disabled = value !== 'manual';
+    });
+    morphControls.prepend(aSelect);
+    morphControls.append(bSelect, sourceSelect);
+
+    slider.addEventListener('input', () => setSceneMorphTarget(parseInt(slider.value) / 100));
+
+    document.getElementById('sceneStoreButton').addEventListener('click', () => {
+        sceneStoreArmed = !sceneStoreArmed;
+        renderSceneSlots();
+    });
+    document.getElementById('sceneRecallSelect').addEventListener('change', function() {
+        sceneRecallMode = this.value;
+    });
+    document.getElementById('sceneReleaseButton').addEventListener('click', releaseScene);
+
+    renderSceneSlots();
+}
+
+function defaultJamSettings() {
+    // The relay serves the app too, so by default it's wherever this page came from
+    const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return {
+        url: location.host ? `${scheme}//${location.host}` : 'ws://localhost:8787',
+        room: 'jam',
+        name: '',
+        role: 'host'
+    };
+}
+
+function loadJamSettings() {
+    try {
+        Object.assign(jamSettings, JSON.parse(localStorage.getItem(JAM_SETTINGS_KEY)));
+    } catch (err) {
+        console.error("Couldn't read jam settings:", err);
+    }
+}
+
+function saveJamSettings() {
+    localStorage.setItem(JAM_SETTINGS_KEY, JSON.stringify(jamSettings));
+}
+
+function outputLatency() {
+    return audioCtx ? (audioCtx.outputLatency || audioCtx.baseLatency || 0) : 0;
+}
+
+function sendJam(message) {
+    if (jam.socket && jam.socket.readyState === WebSocket.OPEN) {
+        jam.socket.send(JSON.stringify(message));
+    }
+}
+
+// Sensor values driving one looper - an assigned jam player's phone while it's streaming
+function looperSensorValues(looperIndex) {
+    if (jam.role !== 'host' || !jam.socket) return sensorValues;
+
+    const now = performance.now();
+    for (const id in jam.assignments) {
+        const remote = jam.remote[id];
+        if (jam.assignments[id] === looperIndex && remote && remote.values && now - remote.time < JAM_SENSOR_TIMEOUT) {
+            return remote.values;
+        }
+    }
+    return sensorValues;
+}
+
+// Host clock as sent to players, stamped with the host's audio time so they can line it up
+function jamClockMessage() {
+    return {
+        time: audioCtx ? audioCtx.currentTime : null,
+        latency: outputLatency(),
+        clock: {
+            bpm: clock.bpm,
+            beatsPerBar: clock.beatsPerBar,
+            beatUnit: clock.beatUnit,
+            tempoLocked: clock.tempoLocked,
+            startTime: clock.startTime
+        }
+    };
+}
+
+// Tempo changes go out straight away rather than waiting for the next ping
+function broadcastJamClock() {
+    if (jam.role !== 'host') return;
+    sendJam({ type: 'clock', ...jamClockMessage() });
+}
+
+// Follow the host's clock. Bar 1 moves into our audio time, then shifts by the difference
+// in output latency so both speakers sound the beat together
+function applyJamClock(message) {
+    if (jam.role !== 'player' || !message.clock) return;
+
+    clock.bpm = message.clock.bpm;
+    clock.beatsPerBar = message.clock.beatsPerBar;
+    clock.beatUnit = message.clock.beatUnit;
+    clock.tempoLocked = message.clock.tempoLocked;
+    bpmInput.value = Math.round(clock.bpm * 10) / 10;
+    timeSignatureSelect.value = `${clock.beatsPerBar}/${clock.beatUnit}`;
+
+    if (message.time !== null && audioCtx && jam.offset !== null) {
+        jam.latency = message.latency - outputLatency();
+        clock.startTime = message.clock.startTime - jam.offset + jam.latency;
+    }
+}
+
+// The host read its clock about half a round trip before the pong got back to us
+function handleJamPong(message) {
+    const rtt = performance.now() - message.sent;
+    jam.rtt = jam.rtt === null ? rtt : jam.rtt + (rtt - jam.rtt) * JAM_OFFSET_SMOOTHING;
+
+    if (message.time !== null && audioCtx) {
+        const offset = message.time - (audioCtx.currentTime - rtt / 2000);
+        jam.offset = jam.offset === null ? offset : jam.offset + (offset - jam.offset) * JAM_OFFSET_SMOOTHING;
+    }
+
+    applyJamClock(message);
+    updateJamStatus();
+}
+
+function pingJamHost() {
+    if (jam.hostId === null) return;
+    sendJam({
+        type: 'ping',
+        to: jam.hostId,
+        sent: performance.now(),
+        rtt: jam.rtt,
+        latency: jam.latency
+    });
+}
+
+// Players stream their sensors to the host, throttled so the relay isn't flooded
+function sendJamSensors() {
+    if (jam.role !== 'player' || jam.hostId === null) return;
+
+    const now = performance.now();
+    if (now - jam.lastSent < JAM_SEND_INTERVAL) return;
+    jam.lastSent = now;
+    sendJam({ type: 'sensors', to: jam.hostId, values: sensorValues });
+}
+
+// First looper no player has yet, or none when they're all taken
+function freeJamLooper() {
+    const taken = Object.values(jam.assignments);
+    for (let i = 0; i < looperSlotCount(); i++) {
+        if (!taken.includes(i)) return i;
+    }
+    return null;
+}
+
+function assignJamPlayer(id, looperIndex) {
+    jam.assignments[id] = looperIndex;
+    sendJam({ type: 'assign', to: id, looper: looperIndex });
+    renderJamPeers();
+    engine.applyMappings();
+}
+
+function handleJamPeers(peers) {
+    jam.peers = peers;
+
+    if (jam.role === 'host') {
+        // Forget players who left, give new ones a looper of their own
+        const present = peers.map(peer => String(peer.id));
+        Object.keys(jam.assignments).filter(id => !present.includes(id)).forEach(id => {
+            delete jam.assignments[id];
+            delete jam.remote[id];
+        });
+        peers.filter(peer => peer.role === 'player' && !(peer.id in jam.assignments))
+            .forEach(peer => assignJamPlayer(peer.id, freeJamLooper()));
+        engine.applyMappings();
+    } else {
+        const host = peers.find(peer => peer.role === 'host' && peer.id !== jam.id);
+        const hostId = host ? host.id : null;
+        if (hostId !== jam.hostId) {
+            jam.hostId = hostId;
+            jam.rtt = null;
+            jam.offset = null;
+            jam.looper = null;
+            pingJamHost();
+        }
+    }
+
+    renderJamPeers();
+    updateJamStatus();
+}
+
+function handleJamMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            jam.id = message.id;
+            break;
+        case 'peers':
+            handleJamPeers(message.peers);
+            break;
+        case 'ping':
+            if (jam.role !== 'host') break;
+            jam.remote[message.from] = Object.assign(jam.remote[message.from] || {}, {
+                rtt: message.rtt,
+                latency: message.latency
+            });
+            sendJam({ type: 'pong', to: message.from, sent: message.sent, ...jamClockMessage() });
+            renderJamPeers();
             break;
-        case 'playing':
-            statusEl.textContent = 'PLAYING';
-            statusEl.classList.add('playing');
-            panel.querySelector('.play-btn').classList.add('active');
+        case 'pong':
+            if (message.from === jam.hostId) handleJamPong(message);
             break;
-        case 'stopped':
-            statusEl.textContent = 'STOPPED';
+        case 'clock':
+            if (message.from === jam.hostId) applyJamClock(message);
             break;
-        case 'cleared':
-            statusEl.textContent = 'READY';
+        case 'sensors':
+            if (jam.role !== 'host') break;
+            jam.remote[message.from] = Object.assign(jam.remote[message.from] || {}, {
+                values: message.values,
+                time: performance.now()
+            });
+            engine.applyMappings();
+            break;
+        case 'assign':
+            jam.looper = message.looper;
+            updateJamStatus();
             break;
     }
 }
 
-function updateLooperParameterDisplay(looperIndex, params) {
-    const glitchEl = document.getElementById(`glitch-${looperIndex}`);
-    const speedEl = document.getElementById(`speed-${looperIndex}`);
+function updateJamStatus(status) {
+    const statusDisplay = document.getElementById('jamStatus');
+    const following = jam.role === 'player' && jam.hostId !== null;
+    bpmInput.disabled = following;
+    timeSignatureSelect.disabled = following;
+    document.getElementById('jamConnectButton').textContent = jam.socket ? 'LEAVE' : 'CONNECT';
 
-    if (glitchEl && params.glitchIntensity !== undefined) {
-        glitchEl.textContent = Math.round(params.glitchIntensity * 100) + '%';
+    if (status) {
+        statusDisplay.textContent = status;
+    } else if (jam.role === 'host') {
+        const players = jam.peers.filter(peer => peer.role === 'player').length;
+        statusDisplay.textContent = `HOST · ${players} PLAYER${players === 1 ? '' : 'S'}`;
+    } else if (!following) {
+        statusDisplay.textContent = 'WAITING FOR HOST';
+    } else {
+        const parts = ['PLAYER', jam.looper === null ? 'NO LOOPER' : `LOOPER ${jam.looper + 1}`];
+        if (jam.rtt !== null) parts.push(`RTT ${Math.round(jam.rtt)}MS`);
+        if (jam.offset !== null) parts.push(`LAT ${jam.latency >= 0 ? '+' : ''}${Math.round(jam.latency * 1000)}MS`);
+        statusDisplay.textContent = parts.join(' · ');
     }
+}
 
-    if (speedEl && params.playbackRate !== undefined) {
-        const rate = params.playbackRate;
-        if (rate < 0) {
-            speedEl.textContent = 'REV ' + Math.abs(rate) + 'x';
-        } else {
-            speedEl.textContent = rate + 'x';
+// Everyone in the room; the host also picks which looper each player drives
+function renderJamPeers() {
+    const list = document.getElementById('jamPeerList');
+    list.innerHTML = '';
+
+    jam.peers.filter(peer => peer.id !== jam.id).forEach(peer => {
+        const row = document.createElement('div');
+        row.className = 'param-line';
+        const remote = jam.remote[peer.id] || {};
+        const stats = [];
+        if (typeof remote.rtt === 'number') stats.push(`RTT ${Math.round(remote.rtt)}MS`);
+        if (typeof remote.latency === 'number') stats.push(`LAT ${Math.round(remote.latency * 1000)}MS`);
+        row.textContent = `${peer.name} (${peer.role.toUpperCase()}) ${stats.join(' ')} `;
+
+        if (jam.role === 'host' && peer.role === 'player') {
+            const options = { '': 'NO LOOPER' };
+            for (let i = 0; i < looperSlotCount(); i++) options[i] = `LOOPER ${i + 1}`;
+            const assigned = jam.assignments[peer.id];
+            row.appendChild(createSelect(options, assigned === null || assigned === undefined ? '' : assigned, value => {
+                assignJamPlayer(peer.id, value === '' ? null : Number(value));
+            }));
         }
-    }
+        list.appendChild(row);
+    });
 }
 
-// Initialize looper control event listeners
-function initLooperControls() {
-    // Record buttons
-    document.querySelectorAll('.rec-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const index = parseInt(btn.dataset.looper);
-            console.log(`Record button clicked for looper ${index}`);
-            if (loopers && loopers[index]) {
-                startRecording(index);
-            }
-        });
+function resetJam() {
+    clearInterval(jam.pingTimer);
+    Object.assign(jam, {
+        socket: null,
+        id: null,
+        peers: [],
+        hostId: null,
+        rtt: null,
+        offset: null,
+        latency: 0,
+        looper: null,
+        pingTimer: null,
+        assignments: {},
+        remote: {}
     });
+    renderJamPeers();
+    engine.applyMappings();
+}
 
-    // Play buttons
-    document.querySelectorAll('.play-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const index = parseInt(btn.dataset.looper);
-            console.log(`Play button clicked for looper ${index}`);
-            if (loopers && loopers[index]) {
-                startPlayback(index);
-            }
-        });
-    });
+function disconnectJam() {
+    if (!jam.socket) return;
+    const socket = jam.socket;
+    resetJam();
+    socket.close();
+    updateJamStatus('OFF');
+}
 
-    // Stop buttons
-    document.querySelectorAll('.stop-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const index = parseInt(btn.dataset.looper);
-            console.log(`Stop button clicked for looper ${index}`);
-            if (loopers && loopers[index]) {
-                if (loopers[index].isPlaying) {
-                    stopPlayback(index);
-                } else if (loopers[index].isRecording) {
-                    stopRecording(index);
-                }
-            }
+function connectJam() {
+    disconnectJam();
+
+    let socket;
+    try {
+        socket = new WebSocket(jamSettings.url);
+    } catch (err) {
+        alert("Can't connect to the jam relay: " + err.message);
+        return;
+    }
+
+    jam.socket = socket;
+    jam.role = jamSettings.role;
+    updateJamStatus('CONNECTING');
+
+    socket.onopen = () => {
+        sendJam({ type: 'join', room: jamSettings.room, name: jamSettings.name, role: jam.role });
+        if (jam.role === 'player') jam.pingTimer = setInterval(pingJamHost, JAM_PING_INTERVAL);
+        console.log(`Joined jam room "${jamSettings.room}" as ${jam.role}`);
+    };
+    socket.onmessage = (event) => {
+        try {
+            handleJamMessage(JSON.parse(event.data));
+        } catch (err) {
+            console.error("Bad jam message:", err);
+        }
+    };
+    socket.onclose = () => {
+        if (jam.socket !== socket) return;
+        resetJam();
+        updateJamStatus('DISCONNECTED');
+    };
+    socket.onerror = () => console.error("Jam relay connection error");
+}
+
+function initJamControls() {
+    loadJamSettings();
+
+    const fields = {
+        jamUrlInput: 'url',
+        jamRoomInput: 'room',
+        jamNameInput: 'name',
+        jamRoleSelect: 'role'
+    };
+    Object.keys(fields).forEach(id => {
+        const control = document.getElementById(id);
+        control.value = jamSettings[fields[id]];
+        control.addEventListener('change', () => {
+            jamSettings[fields[id]] = control.value.trim();
+            saveJamSettings();
         });
     });
 
-    // Clear buttons
-    document.querySelectorAll('.clear-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const index = parseInt(btn.dataset.looper);
-            console.log(`Clear button clicked for looper ${index}`);
-            if (loopers && loopers[index]) {
-                if (confirm('Clear this loop?')) {
-                    clearLoop(index);
-                }
-            }
-        });
+    document.getElementById('jamConnectButton').addEventListener('click', () => {
+        if (jam.socket) {
+            disconnectJam();
+        } else {
+            connectJam();
+        }
     });
 
-    console.log("Looper controls initialized - found", document.querySelectorAll('.looper-btn').length, "buttons");
+    updateJamStatus('OFF');
 }
 
-function startOscillators() {
-    console.log("Starting oscillators...");
+function updateAppStatus() {
+    let status = '--';
+    if (!navigator.onLine) {
+        status = offlineReady ? 'OFFLINE' : 'OFFLINE - NOT CACHED';
+    } else if (offlineReady) {
+        status = 'OFFLINE READY';
+    }
+    document.getElementById('appStatus').textContent = status;
+}
 
-    if (isPlaying) {
-        console.log("Already playing!");
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('./sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(() => {
+            offlineReady = true;
+            updateAppStatus();
+        })
+        .catch(err => console.error("Service worker registration failed:", err));
+}
+
+// The screen lock is dropped whenever the page is hidden - the visibilitychange
+// handler asks again on the way back
+function requestWakeLock() {
+    if (!('wakeLock' in navigator)) {
+        console.log("Wake lock not supported - the screen may sleep");
         return;
     }
 
-    // Create audio context on user interaction
-    if (!audioCtx) {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        console.log("Created new AudioContext");
+    navigator.wakeLock.request('screen').then(lock => {
+        wakeLock = lock;
+        lock.addEventListener('release', () => {
+            if (wakeLock === lock) wakeLock = null;
+        });
+    }).catch(err => console.log("Wake lock unavailable:", err.message));
+}
+
+// Orientation can only be locked in fullscreen, so it waits for that. Phones without
+// fullscreen (iPhone Safari) still get the layout and the wake lock
+function enterPerformanceMode() {
+    performanceMode = true;
+    document.body.classList.add('performance');
+    document.getElementById('performButton').textContent = 'EXIT';
+
+    const root = document.documentElement;
+    const fullscreen = root.requestFullscreen
+        ? root.requestFullscreen({ navigationUI: 'hide' })
+        : Promise.reject(new Error("fullscreen not supported"));
+    fullscreen
+        .then(() => screen.orientation.lock(screen.orientation.type))
+        .catch(err => console.log("Fullscreen/orientation lock unavailable:", err.message));
+
+    requestWakeLock();
+}
+
+function exitPerformanceMode() {
+    performanceMode = false;
+    document.body.classList.remove('performance');
+    document.getElementById('performButton').textContent = 'PERFORM';
+
+    if (screen.orientation && screen.orientation.unlock) {
+        try {
+            screen.orientation.unlock();
+        } catch (err) {
+            // Never locked
+        }
     }
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    if (wakeLock) {
+        wakeLock.release();
+        wakeLock = null;
+    }
+}
 
-    console.log("Audio context state:", audioCtx.state);
+// One key per looper works like a pedal: record → play → stop → play
+function toggleLooper(looperIndex) {
+    const looper = loopers[looperIndex];
+    if (!looper) return;
 
-    // Resume audio context (required on iOS)
-    audioCtx.resume().then(() => {
-        console.log("Audio context resumed, state:", audioCtx.state);
+    if (looper.isRecording || (!looper.isPlaying && looper.recordedLength > 0)) {
+        startPlayback(looperIndex);
+    } else if (looper.isPlaying) {
+        stopPlayback(looperIndex);
+    } else {
+        startRecording(looperIndex);
+    }
+}
 
-        masterGain = audioCtx.createGain();
-        masterGain.gain.value = 0.5; // Set master volume
+// Performance keys: 1-8 loopers (shift for overdub), Q-I scenes, space stops everything
+function handlePerformanceKey(e) {
+    if (!performanceMode || e.repeat || loopers.length === 0) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
 
-        // Create compressor (used by all modes) - extreme settings
-        compressor = audioCtx.createDynamicsCompressor();
-        compressor.threshold.value = -20;  // Lower threshold to compress more
-        compressor.knee.value = 5;          // Hard knee for aggressive compression
-        compressor.ratio.value = 20;        // Maximum ratio for extreme squashing
-        compressor.attack.value = 0.7;    // Very fast attack
-        compressor.release.value = 0.1;     // Shorter release for pumping effect
-
-        // Create master reverb (used by all modes)
-        masterReverb = audioCtx.createConvolver();
-        const masterReverbLength = audioCtx.sampleRate * 3; // 3 second reverb
-        const masterReverbBuffer = audioCtx.createBuffer(2, masterReverbLength, audioCtx.sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = masterReverbBuffer.getChannelData(channel);
-            for (let i = 0; i < masterReverbLength; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * (1 - i / masterReverbLength) ** 2;
-            }
+    const digit = e.code.match(/^Digit([1-8])$/);
+    const scene = PERFORM_SCENE_KEYS.indexOf(e.code);
+    if (digit) {
+        const index = parseInt(digit[1]) - 1;
+        if (e.shiftKey) {
+            runMidiTransport(index, 'overdub');
+        } else {
+            toggleLooper(index);
         }
-        masterReverb.buffer = masterReverbBuffer;
+    } else if (scene !== -1) {
+        recallScene(scene);
+    } else if (e.code === 'Space') {
+        runTriggerAction('stopAll');
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
 
-        // Create wet/dry gains for reverb mix
-        reverbWet = audioCtx.createGain();
-        reverbWet.gain.value = 0; // Start at 0% wet
-        reverbDry = audioCtx.createGain();
-        reverbDry.gain.value = 1; // Start at 100% dry
+function initAppControls() {
+    registerServiceWorker();
+    updateAppStatus();
+    window.addEventListener('online', updateAppStatus);
+    window.addEventListener('offline', updateAppStatus);
 
-        // Wire reverb wet/dry split
-        masterGain.connect(reverbDry);
-        masterGain.connect(masterReverb);
-        masterReverb.connect(reverbWet);
+    // Chrome/Android offer installation through this event; keep it for the button
+    const installButton = document.getElementById('installButton');
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        installButton.hidden = false;
+    });
+    installButton.addEventListener('click', () => {
+        if (!installPrompt) return;
+        installPrompt.prompt();
+        installPrompt.userChoice.then(choice => console.log("Install prompt:", choice.outcome));
+        installPrompt = null;
+        installButton.hidden = true;
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        installButton.hidden = true;
+    });
 
-        reverbDry.connect(compressor);
-        reverbWet.connect(compressor);
+    document.getElementById('performButton').addEventListener('click', () => {
+        if (performanceMode) {
+            exitPerformanceMode();
+        } else {
+            enterPerformanceMode();
+        }
+    });
 
-        // Create Gm7 chord oscillators with LFO swells
-        const chordSystem = createChordOscillators();
-        chordOscillators = chordSystem.oscillators;
-        chordMixer = chordSystem.chordMixer;
+    // Leaving fullscreen (Esc, back gesture) leaves the performance layout too
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement && performanceMode) exitPerformanceMode();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (performanceMode && document.visibilityState === 'visible' && !wakeLock) requestWakeLock();
+    });
+    document.addEventListener('keydown', handlePerformanceKey);
+}
 
-        // Connect chord mixer to master gain
-        chordMixer.connect(masterGain);
+// IndexedDB helpers - one object store of sessions keyed by name
+function openSessionDb() {
+    if (sessionDb) return Promise.resolve(sessionDb);
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SESSION_STORE, { keyPath: 'name' });
+        };
+        request.onsuccess = () => {
+            sessionDb = request.result;
+            resolve(sessionDb);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function sessionStoreRequest(mode, makeRequest) {
+    return openSessionDb().then(db => new Promise((resolve, reject) => {
+        const store = db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+        const request = makeRequest(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+// Snapshot everything needed to pick a performance back up later
+function captureSession(name) {
+    return {
+        name,
+        version: 1,
+        savedAt: Date.now(),
+        reverb: parseInt(reverbSlider.value),
+        looperMaxSeconds: engine.maxSeconds,
+        reverbImpulse: Object.assign({}, reverbSettings),
+        reverbIR,
+        master: Object.assign({}, masterSettings),
+        clock: {
+            bpm: clock.bpm,
+            beatsPerBar: clock.beatsPerBar,
+            beatUnit: clock.beatUnit,
+            quantize: clock.quantize,
+            tempoFromFirstLoop: clock.tempoFromFirstLoop,
+            tempoLocked: clock.tempoLocked
+        },
+        harmony: Object.assign({}, harmony),
+        progression: {
+            text: document.getElementById('progressionInput').value,
+            unit: progression.unit,
+            interval: progression.interval
+        },
+        mappings: engine.mappings.map(m => Object.assign({}, m)),
+        scenes: scenes.slice(),
+        mixer: allChannelStrips().map(strip => ({
+            gain: strip.fader.gain.value,
+            pan: strip.panner.pan.value,
+            send: strip.send.gain.value,
+            muted: strip.muted,
+            soloed: strip.soloed
+        })),
+        loopers: loopers.map(looper => ({
+            audio: looper.recordedLength > 0 ? looper.recordBufferData : null, // Array of channels
+            isPlaying: looper.isPlaying,
+            inputSource: looper.inputSource,
+            feedbackAmount: looper.feedbackAmount,
+            loopStart: looper.loopStart,
+            loopEnd: looper.loopEnd,
+            crossfadeMs: looper.crossfadeMs,
+            snapToZero: looper.snapToZero,
+            fx: Object.assign({}, looper.fx),
+            automation: looper.automation.data ? {
+                mode: looper.automation.mode,
+                glitch: Array.from(looper.automation.data.glitch),
+                speed: Array.from(looper.automation.data.speed)
+            } : null
+        }))
+    };
+}
+
+function saveSession(name) {
+    return sessionStoreRequest('readwrite', store => store.put(captureSession(name)))
+        .then(() => console.log(`Session "${name}" saved`));
+}
+
+function listSessions() {
+    return sessionStoreRequest('readonly', store => store.getAllKeys());
+}
+
+function getSession(name) {
+    return sessionStoreRequest('readonly', store => store.get(name));
+}
+
+function deleteSession(name) {
+    return sessionStoreRequest('readwrite', store => store.delete(name))
+        .then(() => console.log(`Session "${name}" deleted`));
+}
+
+function duplicateSession(name, newName) {
+    return getSession(name).then(session => {
+        session.name = newName;
+        session.savedAt = Date.now();
+        return sessionStoreRequest('readwrite', store => store.put(session));
+    }).then(() => console.log(`Session "${name}" duplicated as "${newName}"`));
+}
 
-        // Create 4 loopers connected to master gain
-        loopers = [];
-        for (let i = 0; i < 4; i++) {
-            loopers.push(createLooper(i, masterGain));
-            console.log(`Created looper ${i}`);
+// Put a saved session back: settings first, then loop audio and play states
+function restoreSession(session) {
+    reverbSlider.value = session.reverb;
+    reverbSlider.dispatchEvent(new Event('input'));
+    if (session.reverbImpulse) {
+        Object.assign(reverbSettings, session.reverbImpulse);
+        reverbIR = session.reverbIR || null;
+        syncReverbControls();
+        updateReverb();
+    }
+    if (session.master) {
+        Object.assign(masterSettings, session.master);
+        syncMasterControls();
+        applyMasterSettings();
+    }
+
+    if (session.looperMaxSeconds && session.looperMaxSeconds !== engine.maxSeconds) {
+        document.getElementById('looperMaxSecondsInput').value = session.looperMaxSeconds;
+        setLooperMaxSeconds(session.looperMaxSeconds);
+    }
+
+    Object.assign(clock, session.clock);
+    bpmInput.value = Math.round(clock.bpm * 10) / 10;
+    timeSignatureSelect.value = `${clock.beatsPerBar}/${clock.beatUnit}`;
+    quantizeSelect.value = clock.quantize;
+    tempoFromLoopToggle.checked = clock.tempoFromFirstLoop;
+    broadcastJamClock();
+
+    Object.assign(harmony, session.harmony);
+    document.getElementById('chordRootSelect').value = harmony.root;
+    document.getElementById('chordQualitySelect').value = harmony.quality;
+    document.getElementById('chordVoicingSelect').value = harmony.voicing;
+    document.getElementById('waveformSelect').value = harmony.waveform;
+    document.getElementById('detuneInput').value = harmony.detune;
+    document.getElementById('glideInput').value = harmony.glide;
+    setWaveform(harmony.waveform);
+    setDetune(harmony.detune);
+    setChord(harmony);
+
+    stopProgression();
+    document.getElementById('progressionInput').value = session.progression.text;
+    document.getElementById('progressionUnitSelect').value = session.progression.unit;
+    document.getElementById('progressionIntervalInput').value = session.progression.interval;
+    progression.unit = session.progression.unit;
+    progression.interval = session.progression.interval;
+
+    engine.mappings = session.mappings.map(m => Object.assign(createMapping(m.source, m.target, m.looper), m));
+    renderMappingMatrix();
+
+    if (session.scenes) {
+        scenes = Array.from({ length: SCENE_SLOTS }, (_, slot) => session.scenes[slot] || null);
+        sceneCurrent = null;
+        renderSceneSlots();
+    }
+
+    // Mixer strips are stored pad first, then loopers in order
+    if (session.mixer) {
+        allChannelStrips().forEach((strip, index) => {
+            const saved = session.mixer[index];
+            if (!saved) return;
+            strip.fader.gain.value = saved.gain;
+            strip.panner.pan.value = saved.pan;
+            strip.send.gain.value = saved.send;
+            strip.muted = saved.muted;
+            strip.soloed = saved.soloed;
+        });
+        updateMuteSolo();
+        renderMixer();
+    }
+
+    session.loopers.forEach((saved, index) => {
+        const looper = loopers[index];
+        if (!looper) return;
+
+        looper.feedbackAmount = saved.feedbackAmount;
+        if (saved.fx) {
+            looper.fx = Object.assign(defaultLooperFx(), saved.fx);
+            looper.filter.type = looper.fx.filterType;
+            renderLooperFx(looper);
+        }
+        document.querySelector(`.feedback-slider[data-looper="${index}"]`).value = Math.round(saved.feedbackAmount * 100);
+        document.getElementById(`feedback-value-${index}`).textContent = Math.round(saved.feedbackAmount * 100) + '%';
+        if (saved.crossfadeMs !== undefined) {
+            looper.crossfadeMs = saved.crossfadeMs;
+            looper.snapToZero = saved.snapToZero;
+            document.querySelector(`.crossfade-input[data-looper="${index}"]`).value = saved.crossfadeMs;
+            document.querySelector(`.snap-toggle[data-looper="${index}"]`).checked = saved.snapToZero;
         }
 
-        // Initialize parameter smoothers for each looper
-        parameterSmoothers = {};
-        for (let i = 0; i < 4; i++) {
-            parameterSmoothers[`looper${i}`] = {
-                glitchIntensity: new ParameterSmoother(0, 0.15),
-                stutterRate: new ParameterSmoother(0, 0.2)
+        clearAutomation(index);
+        if (saved.automation) {
+            looper.automation.mode = saved.automation.mode;
+            looper.automation.data = {
+                glitch: Float32Array.from(saved.automation.glitch),
+                speed: Float32Array.from(saved.automation.speed)
             };
+            document.querySelector(`.automation-mode[data-looper="${index}"]`).value = saved.automation.mode;
         }
 
-        // Final connection: compressor → destination
-        compressor.connect(audioCtx.destination);
+        if (saved.inputSource !== looper.inputSource) {
+            setLooperInput(index, saved.inputSource).then(changed => {
+                if (changed) document.querySelector(`.input-select[data-looper="${index}"]`).value = saved.inputSource;
+            });
+        }
 
-        isPlaying = true;
+        if (!saved.audio) {
+            clearLoop(index);
+            return;
+        }
 
-        console.log("Audio graph: chordMixer → masterGain → [reverb wet/dry + loopers] → compressor → destination");
+        // Copy so the stored session keeps its own buffers after the transfer.
+        // Sessions from before stereo loopers stored a single mono array
+        const channels = (Array.isArray(saved.audio) ? saved.audio : [saved.audio]).map(data => new Float32Array(data));
+        looper.load(channels);
+        if (saved.loopEnd) {
+            // Saved regions were already snapped - send them as they are
+            looper.setRegion(saved.loopStart, saved.loopEnd, Math.round(audioCtx.sampleRate * looper.crossfadeMs / 1000));
+        }
+        if (saved.isPlaying) {
+            // Not looper.play() - the load hasn't reached the worklet yet, so it looks empty
+            looper.command('play');
+        }
+    });
 
-        console.log("Gm7 chord oscillators started with LFO swells");
+    engine.applyMappings();
+    console.log(`Session "${session.name}" restored`);
+}
 
-        // Start parameter update loop
-        updateLooperParameters();
+function renderSessionList(selected) {
+    const select = document.getElementById('sessionSelect');
+    return listSessions().then(names => {
+        select.innerHTML = '';
+        names.forEach(name => select.add(new Option(name, name)));
+        if (selected && names.includes(selected)) select.value = selected;
+    }).catch(err => console.error("Couldn't list sessions:", err));
+}
 
-        // Initialize looper control buttons
-        initLooperControls();
+function setAutosave(enabled) {
+    clearInterval(autosaveTimer);
+    autosaveTimer = null;
+    if (!enabled) return;
 
-        // Update UI to show it's playing
-        startButton.textContent = '♪ PLAYING ♪';
-        startButton.style.background = '#00ff00';
-        startButton.style.boxShadow = '0 0 30px #00ff00';
+    autosaveTimer = setInterval(() => {
+        if (loopers.length === 0) return;
+        const name = document.getElementById('sessionNameInput').value.trim() || AUTOSAVE_SESSION_NAME;
+        saveSession(name)
+            .then(() => renderSessionList(name))
+            .catch(err => console.error("Autosave failed:", err));
+    }, AUTOSAVE_INTERVAL);
+    console.log("Autosave on");
+}
 
-        console.log("✓ Audio system fully initialized and playing!");
-    }).catch(err => {
-        console.error("Failed to resume audio context:", err);
-        alert("Audio error: " + err.message);
+function initSessionControls() {
+    if (!window.indexedDB) {
+        document.getElementById('sessionControls').hidden = true;
+        return;
+    }
+
+    const nameInput = document.getElementById('sessionNameInput');
+    const select = document.getElementById('sessionSelect');
+    const reportError = (action) => (err) => {
+        console.error(`Session ${action} failed:`, err);
+        alert(`Couldn't ${action} session: ` + (err.message || err));
+    };
+
+    document.getElementById('sessionSaveButton').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            alert("Give the session a name");
+            return;
+        }
+        if (loopers.length === 0) {
+            alert("Start the audio first");
+            return;
+        }
+        saveSession(name).then(() => renderSessionList(name)).catch(reportError('save'));
+    });
+
+    document.getElementById('sessionLoadButton').addEventListener('click', () => {
+        if (!select.value) return;
+        if (loopers.length === 0) {
+            alert("Start the audio first");
+            return;
+        }
+        getSession(select.value).then(session => {
+            return setLooperCount(session.loopers.length).then(() => session);
+        }).then(session => {
+            restoreSession(session);
+            nameInput.value = session.name;
+        }).catch(reportError('load'));
+    });
+
+    document.getElementById('sessionDuplicateButton').addEventListener('click', () => {
+        if (!select.value) return;
+        const newName = prompt("Name for the copy:", select.value + ' copy');
+        if (!newName) return;
+        duplicateSession(select.value, newName.trim()).then(() => renderSessionList(newName.trim())).catch(reportError('duplicate'));
+    });
+
+    document.getElementById('sessionDeleteButton').addEventListener('click', () => {
+        if (!select.value || !confirm(`Delete session "${select.value}"?`)) return;
+        deleteSession(select.value).then(() => renderSessionList()).catch(reportError('delete'));
+    });
+
+    document.getElementById('autosaveToggle').addEventListener('change', function() {
+        setAutosave(this.checked);
     });
+
+    renderSessionList();
+}
+
+function listenForMotion() {
+    window.addEventListener("deviceorientation", handleOrientation, true);
+    window.addEventListener("devicemotion", handleMotion, true);
+
+    // No real sensor (desktop/laptop) - open the simulator instead
+    setTimeout(() => {
+        if (!liveSensorsSeen) {
+            console.log("No orientation sensor detected, opening simulator");
+            toggleSimulator(true);
+        }
+    }, SENSOR_FALLBACK_DELAY);
 }
 
 function permission() {
 
     if (typeof (DeviceOrientationEvent) !== "undefined" && typeof (DeviceOrientationEvent.requestPermission) === "function") {
         console.log("Requesting iOS permission...");
-        DeviceOrientationEvent.requestPermission()
-            .then(response => {
-                console.log("Permission response:", response);
-                if (response === "granted") {
-                  startOscillators()
-                    window.addEventListener("deviceorientation", (event) => {
-                        xValue = Math.round(event.gamma);
-                        yValue = Math.round(event.beta);
-                        rotation = Math.round(event.alpha);
-
-                        document.getElementById("doTiltLR").innerHTML = Math.round(xValue);
-                        document.getElementById("doTiltFB").innerHTML = Math.round(yValue);
-                        document.getElementById("doDirection").innerHTML = Math.round(rotation);
-
-                        // Normalize orientation values
-                        const gamma = (event.gamma + 90) / 180; // -90 to 90 → 0 to 1
-                        const beta = (event.beta + 180) / 360; // -180 to 180 → 0 to 1
-                        const alpha = event.alpha / 360; // 0 to 360 → 0 to 1
-
-                        // Map to looper parameters
-                        // Looper 0: gamma → glitch, beta → playback
-                        parameterSmoothers.looper0.glitchIntensity.setTarget(gamma);
-                        loopers[0].targetPlaybackRate = mapToSpeed(beta);
-
-                        // Looper 1: beta → glitch, alpha → playback
-                        parameterSmoothers.looper1.glitchIntensity.setTarget(beta);
-                        loopers[1].targetPlaybackRate = mapToSpeed(alpha);
-
-                        // Looper 2: alpha → glitch, gamma → playback
-                        parameterSmoothers.looper2.glitchIntensity.setTarget(alpha);
-                        loopers[2].targetPlaybackRate = mapToSpeed(gamma);
-
-                        // Looper 3: mix of all three
-                        parameterSmoothers.looper3.glitchIntensity.setTarget((gamma + beta) / 2);
-                        loopers[3].targetPlaybackRate = mapToSpeed(alpha);
-                    }, true);
+        // Acceleration needs its own permission on iOS - both must be requested inside the tap
+        const requests = [DeviceOrientationEvent.requestPermission()];
+        if (typeof (DeviceMotionEvent) !== "undefined" && typeof (DeviceMotionEvent.requestPermission) === "function") {
+            requests.push(DeviceMotionEvent.requestPermission().catch(() => "denied"));
+        }
+
+        Promise.all(requests)
+            .then(responses => {
+                console.log("Permission responses:", responses);
+                if (responses[0] === "granted") {
+                    startOscillators();
+                    listenForMotion();
                 }
             })
             .catch(err => {
@@ -570,40 +4477,10 @@ function permission() {
                 alert("Permission denied or error: " + err);
             });
     } else {
-        // For non-iOS devices, start oscillators and add listener directly
+        // For non-iOS devices, start oscillators and add listeners directly
         console.log("Non-iOS device detected, starting directly");
-        startOscillators()
-        window.addEventListener("deviceorientation", (event) => {
-            xValue = Math.round(event.gamma);
-            yValue = Math.round(event.beta);
-            rotation = Math.round(event.alpha);
-
-            document.getElementById("doTiltLR").innerHTML = Math.round(xValue);
-            document.getElementById("doTiltFB").innerHTML = Math.round(yValue);
-            document.getElementById("doDirection").innerHTML = Math.round(rotation);
-
-            // Normalize orientation values
-            const gamma = (event.gamma + 90) / 180; // -90 to 90 → 0 to 1
-            const beta = (event.beta + 180) / 360; // -180 to 180 → 0 to 1
-            const alpha = event.alpha / 360; // 0 to 360 → 0 to 1
-
-            // Map to looper parameters
-            // Looper 0: gamma → glitch, beta → playback
-            parameterSmoothers.looper0.glitchIntensity.setTarget(gamma);
-            loopers[0].targetPlaybackRate = mapToSpeed(beta);
-
-            // Looper 1: beta → glitch, alpha → playback
-            parameterSmoothers.looper1.glitchIntensity.setTarget(beta);
-            loopers[1].targetPlaybackRate = mapToSpeed(alpha);
-
-            // Looper 2: alpha → glitch, gamma → playback
-            parameterSmoothers.looper2.glitchIntensity.setTarget(alpha);
-            loopers[2].targetPlaybackRate = mapToSpeed(gamma);
-
-            // Looper 3: mix of all three
-            parameterSmoothers.looper3.glitchIntensity.setTarget((gamma + beta) / 2);
-            loopers[3].targetPlaybackRate = mapToSpeed(alpha);
-        }, true);
+        startOscillators();
+        listenForMotion();
     }
 }
 
@@ -616,16 +4493,89 @@ startButton.addEventListener('click', () => {
 
 reverbSlider.addEventListener('input', function() {
     const reverbAmount = parseInt(this.value);
-    reverbValueDisplay.textContent = reverbAmount + "%";
+    setReverbMix(reverbAmount);
+    if (reverbWet) {
+        console.log("Reverb updated to:", reverbAmount + "% (wet:", reverbWet.gain.value, "dry:", reverbDry.gain.value + ")");
+    }
+});
 
-    if (reverbWet && reverbDry) {
-        // Convert percentage to 0-1 range
-        const wetGain = reverbAmount / 100;
-        const dryGain = 1 - wetGain;
+renderButton.addEventListener('click', () => {
+    const seconds = parseFloat(renderLengthInput.value);
+    if (seconds >= 1 && seconds <= RENDER_MAX_SECONDS) {
+        renderSession(seconds);
+    } else {
+        alert(`Render length must be between 1 and ${RENDER_MAX_SECONDS} seconds`);
+    }
+});
+
+micButton.addEventListener('click', () => {
+    if (!audioCtx || !compressor) {
+        alert("Start the audio first");
+        return;
+    }
+    if (micSource) {
+        disableMicInput();
+        return;
+    }
+    enableMicInput().catch(err => {
+        console.error("Microphone error:", err);
+        alert("Microphone unavailable: " + err.message);
+    });
+});
+
+micGainSlider.addEventListener('input', function() {
+    const amount = parseInt(this.value);
+    micGainDisplay.textContent = amount + "%";
+    if (micInputGain) {
+        micInputGain.gain.value = amount / 100;
+    }
+});
+
+micMonitorToggle.addEventListener('change', function() {
+    if (micMonitorGain) {
+        micMonitorGain.gain.value = this.checked ? 1 : 0;
+    }
+});
+
+initEngineEvents();
+initMappingControls();
+initTriggerControls();
+initSensorSimulator();
+initMidiControls();
+initHarmonyControls();
+initReverbControls();
+initMasterControls();
+initLooperManager();
+initSessionControls();
+initSceneControls();
+initAppControls();
+initJamControls();
+
+bpmInput.addEventListener('change', function() {
+    const bpm = parseFloat(this.value);
+    if (bpm >= 40 && bpm <= 240) {
+        engine.setTempo(bpm);
+    }
+});
+
+timeSignatureSelect.addEventListener('change', function() {
+    const [beatsPerBar, beatUnit] = this.value.split('/').map(Number);
+    clock.beatsPerBar = beatsPerBar;
+    clock.beatUnit = beatUnit;
+    console.log("Time signature:", this.value);
+    broadcastJamClock();
+});
+
+quantizeSelect.addEventListener('change', function() {
+    clock.quantize = this.value;
+    console.log("Quantize:", clock.quantize);
+});
 
-        reverbWet.gain.value = wetGain;
-        reverbDry.gain.value = dryGain;
-        console.log("Reverb updated to:", reverbAmount + "% (wet:", wetGain, "dry:", dryGain + ")");
+tempoFromLoopToggle.addEventListener('change', function() {
+    clock.tempoFromFirstLoop = this.checked;
+    // Turning it off means the BPM field is the tempo from now on
+    if (!clock.tempoFromFirstLoop) {
+        clock.tempoLocked = true;
     }
 });
 
@@ -0,0 +1,73 @@
+// AudioWorklet capture tap - records a fixed number of stereo frames from its
+// input (the master bus) and hands them back to the main thread for WAV export.
+// Loaded with audioCtx.audioWorklet.addModule('./capture-processor.js')
+
+// Send a progress update roughly this often
+const CAPTURE_PROGRESS_FRAMES = 16384;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.channels = null;
+        this.length = 0;
+        this.writePosition = 0;
+        this.startFrame = 0;
+        this.lastProgress = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+                // Buffers come from the main thread - allocating them here would glitch the audio
+                this.channels = message.channels;
+                this.length = this.channels[0].length;
+                this.writePosition = 0;
+                this.lastProgress = 0;
+                this.startFrame = message.atFrame !== undefined ? message.atFrame : currentFrame;
+                break;
+            case 'cancel':
+                this.channels = null;
+                break;
+        }
+    }
+
+    process(inputs) {
+        if (!this.channels) return true;
+
+        const input = inputs[0];
+        const blockSize = 128;
+
+        // Skip the part of the block before the (quantized) start frame
+        const start = Math.max(0, Math.min(blockSize, this.startFrame - currentFrame));
+        const count = Math.min(blockSize - start, this.length - this.writePosition);
+
+        for (let channel = 0; channel < 2; channel++) {
+            // A mono input is copied to both sides
+            const source = input[channel] || input[0];
+            if (source && count > 0) {
+                this.channels[channel].set(source.subarray(start, start + count), this.writePosition);
+            }
+        }
+        if (count > 0) this.writePosition += count;
+
+        if (this.writePosition - this.lastProgress >= CAPTURE_PROGRESS_FRAMES) {
+            this.lastProgress = this.writePosition;
+            this.port.postMessage({ type: 'progress', written: this.writePosition, length: this.length });
+        }
+
+        if (this.writePosition >= this.length) {
+            const channels = this.channels;
+            this.channels = null;
+            this.port.postMessage(
+                { type: 'done', channels },
+                channels.map(data => data.buffer)
+            );
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,676 @@
+// Glitch Bliss engine - loopers, the tempo clock and the motion → glitch/speed mapping,
+// with no DOM access. app.js is one client of it; test/ drives it under Node with an
+// OfflineAudioContext stand-in. Loaded as a plain script (window.GlitchBliss) or with
+// require('./engine.js'):
+//
+//   const engine = GlitchBliss.createEngine({ maxSeconds: 30 });
+//   engine.on('state', (looper) => console.log(looper.index, looper.isRecording));
+//   engine.start(audioCtx).then(() => {
+//       const looper = engine.addLooper(sourceNode);  // Records sourceNode
+//       looper.node.connect(audioCtx.destination);
+//       engine.startClock();
+//       looper.record();                // Quantized to the clock once the tempo is set
+//       looper.play();                  // Ends the recording and loops it
+//   });
+//
+//   engine.setOrientation(event);       // Sensor readings → engine.sensorValues (0-1) → engine.mappings
+//   engine.tick();                      // Once per animation frame: smoothing → AudioParams
+//
+// engine.mappings routes sensor axes to looper targets. The engine drives glitch and speed
+// itself; the other MAPPING_TARGETS go to options.applyTarget(looper, target, value), and
+// options.mappingOverride(looper, target, value) can swap in a value (MIDI, automation)
+//
+// Events (engine.on(type, listener)):
+//   'state'    (looper, wasRecording)  transport state changed on the audio thread
+//   'recorded' (looper, message)       new loop data - message.reason is record/load/overdub/layer
+//   'queued'   (looper, type, when)    a command is waiting for a beat/bar at audio time when
+//   'tempo'    ()                      the clock's BPM or start time changed
+(function (root) {
+
+// Parameter smoothing class
+class ParameterSmoother {
+    constructor(initialValue, smoothingFactor = 0.1) {
+        this.currentValue = initialValue;
+        this.targetValue = initialValue;
+        this.smoothingFactor = smoothingFactor;
+    }
+
+    setTarget(newValue) {
+        this.targetValue = newValue;
+    }
+
+    step() {
+        this.currentValue += (this.targetValue - this.currentValue) * this.smoothingFactor;
+        return this.currentValue;
+    }
+}
+
+// Stutter retrigger rate range, scaled by glitch intensity
+const STUTTER_MIN_HZ = 4;
+const STUTTER_MAX_HZ = 32;
+
+// Discrete playback speed steps (including reverse)
+const PLAYBACK_SPEEDS = [-4, -2, -1.5, -1, -0.5, -0.25, 0.25, 0.5, 1, 1.5, 2, 4];
+
+// Maximum loop length per looper (default - the MAX S control changes it)
+const LOOPER_MAX_SECONDS = 30;
+const LOOPER_MAX_SECONDS_LIMIT = 120; // Stereo float buffers: ~46MB per looper at 48kHz
+
+// Undo history per looper. Layers are main-thread copies of the loop, so they're capped
+// by total length as well as count (120s is ~46MB of stereo float at 48kHz)
+const MAX_UNDO_LAYERS = 8;
+const UNDO_MAX_SECONDS = 120;
+
+const CLOCK_LOOKAHEAD_SECONDS = 0.05; // Don't schedule closer to "now" than this
+const ACCEL_RANGE = 15; // m/s² either side of zero maps to the full 0-1 range
+
+// Motion → parameter mapping matrix
+const SENSOR_SOURCES = {
+    alpha: 'α',
+    beta: 'β',
+    gamma: 'γ',
+    accelX: 'aX',
+    accelY: 'aY',
+    accelZ: 'aZ'
+};
+
+const MAPPING_TARGETS = {
+    glitch: 'GLITCH',
+    speed: 'SPEED',
+    volume: 'VOLUME',
+    reverbSend: 'REVERB SEND',
+    filterCutoff: 'FILTER',
+    filterResonance: 'RESONANCE',
+    delayMix: 'DELAY MIX',
+    delayFeedback: 'DELAY FDBK',
+    drive: 'DRIVE'
+};
+
+const MAPPING_CURVES = ['linear', 'exp', 'log', 'scurve'];
+
+// Map normalized value (0-1) to discrete playback speed
+function mapToSpeed(normalizedValue) {
+    const index = Math.floor(normalizedValue * PLAYBACK_SPEEDS.length);
+    return PLAYBACK_SPEEDS[Math.min(index, PLAYBACK_SPEEDS.length - 1)];
+}
+
+// Inverse of mapToSpeed - the middle of the step a rate sits in
+function speedToNormalized(rate) {
+    let index = 0;
+    PLAYBACK_SPEEDS.forEach((speed, i) => {
+        if (Math.abs(speed - rate) < Math.abs(PLAYBACK_SPEEDS[index] - rate)) index = i;
+    });
+    return (index + 0.5) / PLAYBACK_SPEEDS.length;
+}
+
+// Shape a normalized sensor value through one mapping's dead zone, inversion, curve and range
+function shapeMappingValue(mapping, value) {
+    // Dead zone holds the middle of the range (phone flat) at 0.5
+    const halfZone = mapping.deadZone / 2;
+    const offset = value - 0.5;
+    if (Math.abs(offset) <= halfZone) {
+        value = 0.5;
+    } else if (halfZone > 0) {
+        value = 0.5 + Math.sign(offset) * ((Math.abs(offset) - halfZone) / (0.5 - halfZone)) * 0.5;
+    }
+
+    value = Math.max(0, Math.min(1, value));
+    if (mapping.invert) value = 1 - value;
+
+    switch (mapping.curve) {
+        case 'exp':
+            value = value * value;
+            break;
+        case 'log':
+            value = Math.sqrt(value);
+            break;
+        case 'scurve':
+            value = value * value * (3 - 2 * value);
+            break;
+    }
+
+    return mapping.min + (mapping.max - mapping.min) * value;
+}
+
+function createMapping(source, target, looper) {
+    return { source, target, looper, min: 0, max: 1, invert: false, curve: 'linear', deadZone: 0 };
+}
+
+// The original hard-wired tilt layout
+function defaultMappings() {
+    return [
+        createMapping('gamma', 'glitch', 0),
+        createMapping('beta', 'speed', 0),
+        createMapping('beta', 'glitch', 1),
+        createMapping('alpha', 'speed', 1),
+        createMapping('alpha', 'glitch', 2),
+        createMapping('gamma', 'speed', 2),
+        createMapping('gamma', 'glitch', 3),
+        createMapping('beta', 'glitch', 3),
+        createMapping('alpha', 'speed', 3)
+    ];
+}
+
+// One looper - recording and playback live in the looper-processor worklet, this side
+// only sends commands and mirrors the state the worklet reports back
+class Looper {
+    constructor(engine, index, sourceNode) {
+        const context = engine.context;
+        this.engine = engine;
+        this.index = index;
+        // Main-thread copy of the last recording, one Float32Array per channel (sent back by the worklet)
+        this.recordBufferData = null;
+        this.recordedLength = 0;
+        this.inputNode = sourceNode || null;
+        this.isRecording = false;
+        this.isPlaying = false;
+        this.isOverdubbing = false;
+        // Loop data before each overdub pass (undo) and the passes undone since (redo)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoDepth = 0;
+        this.redoDepth = 0;
+        this.pendingUndo = false;  // UNDO pressed mid-pass - undo once the pass comes back
+        this.layerPending = false; // A layer is with the worklet - recordBufferData isn't ours until it's back
+        this.queuedSwaps = [];     // 'undo' / 'redo' pressed meanwhile
+        // Glitch parameters
+        this.glitchIntensity = 0;
+        this.playbackRate = 1;
+        this.targetPlaybackRate = 1; // Discrete speed target
+        this.speedOverride = null;   // Holds the speed whatever setSpeed is given
+        this.glitchOverride = null;  // Same for the glitch level
+        this.stutterRate = STUTTER_MIN_HZ;
+        this.feedbackAmount = 1; // How much of the existing loop survives each overdub pass
+        this.smoothers = {
+            glitchIntensity: new ParameterSmoother(0, 0.15),
+            stutterRate: new ParameterSmoother(STUTTER_MIN_HZ, 0.2)
+        };
+        // Playback region (mirrored from the worklet)
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.playhead = null; // Last { position, frame } reported by the worklet
+
+        // Explicitly stereo in and out - a mono source is up-mixed to both channels
+        this.node = new engine.AudioWorkletNode(context, 'looper-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit',
+            outputChannelCount: [2],
+            processorOptions: { maxLength: engine.maxLength() }
+        });
+        this.node.port.onmessage = (e) => this.handleMessage(e.data);
+        if (this.inputNode) this.inputNode.connect(this.node);
+        this.sendSpare(this.engine.newLoopBuffers());
+    }
+
+    // Full-size buffers for the worklet's next loop copy (see postLoopData in the worklet)
+    sendSpare(channels) {
+        this.node.port.postMessage({ type: 'spare', channels }, channels.map(data => data.buffer));
+    }
+
+    // The worklet is the source of truth for looper state - mirror it and tell listeners
+    handleMessage(message) {
+        const engine = this.engine;
+        const clock = engine.clock;
+
+        switch (message.type) {
+            case 'recorded': {
+                const previous = this.recordBufferData;
+                if (message.spare) {
+                    // Keep just the loop and hand the full-size buffers back for the next copy
+                    this.recordBufferData = message.channels.map(data => data.slice(0, message.length));
+                    if (message.channels[0].length === engine.maxLength()) this.sendSpare(message.channels);
+                } else {
+                    // A layer sent by swapLayer coming back
+                    this.recordBufferData = message.channels;
+                    this.layerPending = false;
+                }
+                this.updateLayers(message.reason, previous);
+                if (!this.layerPending && this.queuedSwaps.length > 0) this.swapLayer(this.queuedSwaps.shift());
+                engine.emit('recorded', this, message);
+                if ((message.reason === 'record' || message.reason === 'load') &&
+                    clock.tempoFromFirstLoop && !clock.tempoLocked && message.length > 0) {
+                    engine.setTempoFromLoop(message.length, message.startFrame);
+                }
+                break;
+            }
+            case 'state': {
+                const wasRecording = this.isRecording;
+                this.isRecording = message.isRecording;
+                this.isPlaying = message.isPlaying;
+                this.isOverdubbing = message.isOverdubbing;
+                this.recordedLength = message.recordedLength;
+                this.loopStart = message.loopStart;
+                this.loopEnd = message.loopEnd;
+                engine.emit('state', this, wasRecording);
+                break;
+            }
+            case 'position':
+                this.playhead = { position: message.position, frame: message.frame };
+                break;
+        }
+    }
+
+    // Send a transport command, quantized to the clock when enabled
+    // (or at an explicit context time; null means now)
+    command(type, when = this.engine.nextQuantizedTime()) {
+        const message = { type };
+
+        if (when !== null) {
+            message.atFrame = Math.round(when * this.engine.context.sampleRate);
+            this.engine.emit('queued', this, type, when);
+        }
+
+        this.node.port.postMessage(message);
+    }
+
+    record(when) {
+        this.command('record', when);
+    }
+
+    stopRecording(when) {
+        this.command('stopRecording', when);
+    }
+
+    // Returns false when there's nothing recorded (or recording) to play
+    play(when) {
+        if (!this.isRecording && this.recordedLength === 0) return false;
+        this.command('play', when);
+        return true;
+    }
+
+    stop(when) {
+        this.command('stop', when);
+    }
+
+    // Overdub sums new input into the playing loop; each pass becomes an undoable layer.
+    // Returns false when there's no loop to overdub onto
+    overdub(when) {
+        if (this.recordedLength === 0) return false;
+        this.command('overdub', when);
+        return true;
+    }
+
+    stopOverdub(when) {
+        this.command('stopOverdub', when);
+    }
+
+    // A finished overdub pass makes the loop before it an undo layer; a new recording or
+    // load starts the history again
+    updateLayers(reason, previous) {
+        if (reason === 'overdub' && previous) {
+            this.undoStack.push(previous);
+            this.redoStack = [];
+            const maxSamples = this.engine.context.sampleRate * UNDO_MAX_SECONDS;
+            const layerSamples = () => this.undoStack.reduce((total, layer) => total + layer[0].length, 0);
+            while (this.undoStack.length > MAX_UNDO_LAYERS || (this.undoStack.length > 1 && layerSamples() > maxSamples)) {
+                this.undoStack.shift();
+            }
+        } else if (reason === 'record' || reason === 'load') {
+            this.clearLayers();
+        }
+        this.undoDepth = this.undoStack.length;
+        this.redoDepth = this.redoStack.length;
+
+        // isOverdubbing only clears with the state message that follows, so swap directly
+        if (reason === 'overdub' && this.pendingUndo) {
+            this.pendingUndo = false;
+            this.swapLayer('undo');
+        }
+    }
+
+    clearLayers() {
+        this.pendingUndo = false;
+        this.queuedSwaps = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoDepth = 0;
+        this.redoDepth = 0;
+    }
+
+    // Move the current loop onto one stack and send the worklet the top of the other.
+    // The layer is transferred and comes back as the new recordBufferData, so swaps
+    // asked for before then wait their turn
+    swapLayer(direction) {
+        if (this.layerPending) {
+            this.queuedSwaps.push(direction);
+            return;
+        }
+        const [fromStack, toStack] = direction === 'undo'
+            ? [this.undoStack, this.redoStack]
+            : [this.redoStack, this.undoStack];
+        if (fromStack.length === 0 || !this.recordBufferData) return;
+        toStack.push(this.recordBufferData);
+        const layer = fromStack.pop();
+        this.undoDepth = this.undoStack.length;
+        this.redoDepth = this.redoStack.length;
+        this.layerPending = true;
+        this.node.port.postMessage({ type: 'layer', channels: layer }, layer.map(data => data.buffer));
+    }
+
+    // Mid-pass, the pass has to finish (and become a layer) before it can be undone
+    undo() {
+        if (this.isOverdubbing) {
+            this.pendingUndo = true;
+            this.stopOverdub(null);
+            return;
+        }
+        this.swapLayer('undo');
+    }
+
+    // A pass clears the redo history, so mid-pass there's nothing to redo
+    redo() {
+        if (this.isOverdubbing) {
+            this.stopOverdub(null);
+            return;
+        }
+        this.swapLayer('redo');
+    }
+
+    clear() {
+        const clock = this.engine.clock;
+        this.node.port.postMessage({ type: 'clear' });
+        this.recordBufferData = null;
+        this.recordedLength = 0;
+        this.clearLayers();
+
+        // With every looper empty the next loop can set the tempo again
+        if (clock.tempoFromFirstLoop && this.engine.loopers.every(l => l.recordedLength === 0 && !l.isRecording)) {
+            clock.tempoLocked = false;
+        }
+    }
+
+    // Replace the loop with decoded audio, one Float32Array per channel (transferred)
+    load(channels) {
+        this.node.port.postMessage({ type: 'load', channels }, channels.map(data => data.buffer));
+    }
+
+    // Play only start-end (frames) of the recording, crossfading the seam over crossfade frames
+    setRegion(start, end, crossfade = 0) {
+        this.loopStart = start;
+        this.loopEnd = end;
+        this.node.port.postMessage({ type: 'region', start, end, crossfade });
+    }
+
+    // Record from a different node
+    setInput(node) {
+        if (this.inputNode) this.inputNode.disconnect(this.node);
+        this.inputNode = node;
+        if (node) node.connect(this.node);
+    }
+
+    // Mapped 0-1 glitch level; null means nothing drives it
+    setGlitch(value) {
+        const held = this.glitchOverride;
+        this.smoothers.glitchIntensity.setTarget(held !== null ? held : value === null ? 0 : value);
+    }
+
+    // Mapped 0-1 speed, snapped through mapToSpeed; null means normal speed
+    setSpeed(value) {
+        if (this.speedOverride !== null) {
+            this.targetPlaybackRate = this.speedOverride;
+        } else {
+            this.targetPlaybackRate = value === null ? 1 : mapToSpeed(value);
+        }
+    }
+
+    dispose() {
+        this.node.port.postMessage({ type: 'dispose' });
+        if (this.inputNode) this.inputNode.disconnect(this.node);
+        this.node.disconnect();
+    }
+}
+
+class Engine {
+    constructor(options = {}) {
+        this.context = null;
+        this.moduleUrl = options.moduleUrl || './looper-processor.js';
+        this.AudioWorkletNode = options.AudioWorkletNode || root.AudioWorkletNode;
+        this.maxSeconds = options.maxSeconds || LOOPER_MAX_SECONDS;
+        this.loopers = [];
+        this.listeners = {};
+
+        // Sensor → target mappings, and the client's hooks for what the engine doesn't own
+        this.mappings = defaultMappings();
+        this.glitchFrozen = false; // Holds every looper's glitch where it is
+        this.looperSensorValues = options.looperSensorValues || (() => this.sensorValues);
+        this.mappingOverride = options.mappingOverride || ((looper, target, value) => value);
+        this.applyTarget = options.applyTarget || (() => {});
+
+        // Global tempo clock - transport actions are queued to the next beat/bar so loops stay phase-locked
+        this.clock = {
+            bpm: 90,
+            beatsPerBar: 4,
+            beatUnit: 4,
+            quantize: 'bar',          // 'bar' | 'beat' | 'off'
+            tempoFromFirstLoop: true, // First recorded loop sets the BPM
+            tempoLocked: false,       // False until a tempo is set (by the user or the first loop)
+            startTime: 0              // Context time of bar 1, beat 1
+        };
+
+        // Latest sensor readings normalized to 0-1 (acceleration is centered on 0.5)
+        this.sensorValues = {
+            alpha: 0,
+            beta: 0.5,
+            gamma: 0.5,
+            accelX: 0.5,
+            accelY: 0.5,
+            accelZ: 0.5
+        };
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    emit(type, ...args) {
+        (this.listeners[type] || []).forEach(listener => listener(...args));
+    }
+
+    // Load the looper worklet into the context. Loopers can be added once it resolves
+    start(context) {
+        this.context = context;
+        return context.audioWorklet.addModule(this.moduleUrl);
+    }
+
+    // Buffer length in frames for the current maximum loop length
+    maxLength() {
+        return Math.round(this.context.sampleRate * this.maxSeconds);
+    }
+
+    newLoopBuffers() {
+        const length = this.maxLength();
+        return [new Float32Array(length), new Float32Array(length)];
+    }
+
+    addLooper(sourceNode) {
+        const looper = new Looper(this, this.loopers.length, sourceNode);
+        this.loopers.push(looper);
+        return looper;
+    }
+
+    // Removes and disposes the last looper
+    removeLooper() {
+        const looper = this.loopers.pop();
+        if (looper) looper.dispose();
+        return looper;
+    }
+
+    // New buffers (and spares of the new size) are allocated here and transferred so the
+    // audio thread never allocates. Undo layers may not fit any more so they go
+    setMaxSeconds(seconds) {
+        this.maxSeconds = seconds;
+        if (!this.context) return;
+        this.loopers.forEach(looper => {
+            const channels = this.newLoopBuffers();
+            const spare = this.newLoopBuffers();
+            looper.clearLayers();
+            looper.node.port.postMessage(
+                { type: 'resize', channels, spare },
+                channels.concat(spare).map(data => data.buffer)
+            );
+        });
+    }
+
+    // Clock helpers
+    secondsPerBeat() {
+        return 60 / this.clock.bpm;
+    }
+
+    secondsPerBar() {
+        return this.secondsPerBeat() * this.clock.beatsPerBar;
+    }
+
+    startClock() {
+        this.clock.startTime = this.context.currentTime;
+        this.clock.tempoLocked = !this.clock.tempoFromFirstLoop;
+        this.emit('tempo');
+    }
+
+    // Time of the next beat/bar boundary, or null when actions should happen immediately
+    nextQuantizedTime() {
+        const clock = this.clock;
+        if (clock.quantize === 'off' || !clock.tempoLocked) return null;
+        return this.nextBoundaryTime(clock.quantize === 'beat' ? this.secondsPerBeat() : this.secondsPerBar());
+    }
+
+    // Next multiple of unit seconds from bar 1 that's far enough ahead to schedule
+    nextBoundaryTime(unit) {
+        const earliest = this.context.currentTime + CLOCK_LOOKAHEAD_SECONDS;
+        const count = Math.ceil((earliest - this.clock.startTime) / unit);
+        return this.clock.startTime + count * unit;
+    }
+
+    // Change BPM without jumping: keep the current beat position continuous
+    setTempo(bpm) {
+        const clock = this.clock;
+        if (this.context) {
+            const beats = (this.context.currentTime - clock.startTime) / this.secondsPerBeat();
+            clock.startTime = this.context.currentTime - beats * (60 / bpm);
+        }
+        clock.bpm = bpm;
+        clock.tempoLocked = true;
+        this.emit('tempo');
+    }
+
+    // Fit a whole number of bars into the first loop (closest to the current BPM)
+    // and start the clock where that recording started
+    setTempoFromLoop(lengthSamples, startFrame) {
+        const clock = this.clock;
+        const seconds = lengthSamples / this.context.sampleRate;
+        const bars = Math.max(1, Math.round(seconds / this.secondsPerBar()));
+        clock.bpm = (bars * clock.beatsPerBar * 60) / seconds;
+        clock.startTime = startFrame / this.context.sampleRate;
+        clock.tempoLocked = true;
+        this.emit('tempo');
+    }
+
+    // Orientation in degrees (a deviceorientation event will do)
+    setOrientation({ alpha, beta, gamma }) {
+        this.sensorValues.gamma = (gamma + 90) / 180; // -90 to 90 → 0 to 1
+        this.sensorValues.beta = (beta + 180) / 360; // -180 to 180 → 0 to 1
+        this.sensorValues.alpha = alpha / 360; // 0 to 360 → 0 to 1
+        this.applyMappings();
+    }
+
+    // Acceleration in m/s²
+    setMotion({ x, y, z }) {
+        const normalize = (value) => Math.max(0, Math.min(1, (value + ACCEL_RANGE) / (2 * ACCEL_RANGE)));
+        this.sensorValues.accelX = normalize(x);
+        this.sensorValues.accelY = normalize(y);
+        this.sensorValues.accelZ = normalize(z);
+        this.applyMappings();
+    }
+
+    // Run every mapping against the current sensor values. Several mappings on the
+    // same looper target are averaged (e.g. gamma + beta → glitch)
+    applyMappings() {
+        this.loopers.forEach(looper => this.applyLooperMappings(looper));
+    }
+
+    // Each target gets its mapped value, or null (its resting value) when nothing maps to it
+    applyLooperMappings(looper) {
+        Object.keys(MAPPING_TARGETS).forEach(target => {
+            let value = null;
+            const active = this.mappings.filter(m => m.looper === looper.index && m.target === target);
+            if (active.length > 0) {
+                const values = this.looperSensorValues(looper.index);
+                value = active.reduce((total, m) => total + shapeMappingValue(m, values[m.source]), 0) / active.length;
+            }
+            value = this.mappingOverride(looper, target, value);
+
+            switch (target) {
+                case 'glitch':
+                    // A recalled scene holds the glitch level (glitchOverride) until its MOTION button releases it
+                    if (!this.glitchFrozen) looper.setGlitch(value);
+                    break;
+                case 'speed':
+                    // A RANDOM SPEEDS trigger (or a scene) holds the looper's speed until MOTION SPEEDS releases it
+                    looper.setSpeed(value);
+                    break;
+                default:
+                    this.applyTarget(looper, target, value);
+            }
+        });
+    }
+
+    // Step the glitch/speed smoothing and hand the results to the worklets
+    tick() {
+        this.loopers.forEach(looper => {
+            const smoothers = looper.smoothers;
+
+            // Glitch intensity is smooth
+            looper.glitchIntensity = smoothers.glitchIntensity.step();
+
+            // Playback rate snaps to discrete values
+            looper.playbackRate = looper.targetPlaybackRate || 1;
+
+            // Stutters retrigger faster as the glitch gets heavier
+            smoothers.stutterRate.setTarget(STUTTER_MIN_HZ + looper.glitchIntensity * (STUTTER_MAX_HZ - STUTTER_MIN_HZ));
+            looper.stutterRate = smoothers.stutterRate.step();
+
+            const params = looper.node.parameters;
+            params.get('playbackRate').value = looper.playbackRate;
+            params.get('glitchIntensity').value = looper.glitchIntensity;
+            params.get('stutterRate').value = looper.stutterRate;
+            params.get('feedback').value = looper.feedbackAmount;
+        });
+    }
+}
+
+function createEngine(options) {
+    return new Engine(options);
+}
+
+const api = {
+    createEngine,
+    Engine,
+    Looper,
+    ParameterSmoother,
+    mapToSpeed,
+    speedToNormalized,
+    shapeMappingValue,
+    createMapping,
+    defaultMappings,
+    SENSOR_SOURCES,
+    MAPPING_TARGETS,
+    MAPPING_CURVES,
+    PLAYBACK_SPEEDS,
+    STUTTER_MIN_HZ,
+    STUTTER_MAX_HZ,
+    LOOPER_MAX_SECONDS,
+    LOOPER_MAX_SECONDS_LIMIT,
+    MAX_UNDO_LAYERS,
+    UNDO_MAX_SECONDS,
+    CLOCK_LOOKAHEAD_SECONDS,
+    ACCEL_RANGE
+};
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+} else {
+    root.GlitchBliss = api;
+}
+
+})(typeof self !== 'undefined' ? self : this);
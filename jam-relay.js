@@ -0,0 +1,230 @@
+// Jam relay - a tiny WebSocket relay (and static file server) for multi-device jams.
+// No dependencies, just Node:
+//
+//   node jam-relay.js [port]                      plain http/ws, fine for localhost
+//   node jam-relay.js [port] cert.pem key.pem     https/wss, needed for phones since
+//                                                 motion sensors require a secure page
+//
+// Open the printed address on every device, choose HOST on the device that plays the
+// sound and PLAYER on the others, and join the same room. The relay only forwards
+// JSON messages between members of a room - all the timing logic lives in app.js.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2]) || 8787;
+const ROOT = __dirname;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024; // Jam messages are small - anything bigger is dropped
+// Only the app itself is served - the rest of the directory (git metadata, TLS keys
+// kept next to this script...) stays private
+const APP_FILES = new Set([
+    'index.html',
+    'app.js',
+    'engine.js',
+    'looper-processor.js',
+    'capture-processor.js',
+    'style.css',
+    'sw.js',
+    'manifest.webmanifest',
+    'icon.svg'
+]);
+const MIME_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.wav': 'audio/wav'
+};
+
+let nextClientId = 1;
+const rooms = new Map(); // room name → Set of clients
+
+// Static files so the app and the relay share an origin (and a certificate)
+function serveFile(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        urlPath = '';
+    }
+    const name = urlPath === '/' ? 'index.html' : urlPath.replace(/^\//, '');
+    if (!APP_FILES.has(name)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    const filePath = path.join(ROOT, name);
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of the buffer. Clients always mask; we don't
+// bother with fragmented messages since nothing we send is large enough to need them
+function decodeFrames(client, onFrame) {
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const opcode = buffer[0] & 0x0F;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            client.socket.destroy();
+            return;
+        }
+        if (buffer.length < offset + 4 + length) return;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        client.buffer = buffer.subarray(offset + 4 + length);
+
+        onFrame(opcode, payload);
+    }
+}
+
+function send(client, message) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+function broadcastPeers(room) {
+    const members = rooms.get(room);
+    if (!members) return;
+    const peers = [...members].map(client => ({ id: client.id, name: client.name, role: client.role }));
+    members.forEach(client => send(client, { type: 'peers', peers }));
+}
+
+function leave(client) {
+    const members = rooms.get(client.room);
+    if (!members) return;
+    members.delete(client);
+    if (members.size === 0) {
+        rooms.delete(client.room);
+    } else {
+        broadcastPeers(client.room);
+    }
+    console.log(`#${client.id} left ${client.room}`);
+}
+
+// 'join' puts the client in a room; everything else is stamped with the sender and
+// forwarded - to one member when it has a 'to', otherwise to the rest of the room
+function handleMessage(client, message) {
+    if (message.type === 'join') {
+        if (client.room) leave(client);
+        client.room = String(message.room || 'jam');
+        client.name = String(message.name || `PLAYER ${client.id}`).slice(0, 24);
+        client.role = message.role === 'host' ? 'host' : 'player';
+        if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+        rooms.get(client.room).add(client);
+        send(client, { type: 'welcome', id: client.id });
+        broadcastPeers(client.room);
+        console.log(`#${client.id} (${client.name}, ${client.role}) joined ${client.room}`);
+        return;
+    }
+
+    const members = rooms.get(client.room);
+    if (!members) return;
+    message.from = client.id;
+    members.forEach(member => {
+        if (member === client) return;
+        if (message.to !== undefined && member.id !== message.to) return;
+        send(member, message);
+    });
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { id: nextClientId++, socket, buffer: Buffer.alloc(0), room: null, name: null, role: null };
+
+    socket.on('data', chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        decodeFrames(client, (opcode, payload) => {
+            if (opcode === 0x8) {
+                socket.end();
+            } else if (opcode === 0x9) {
+                socket.write(Buffer.concat([Buffer.from([0x8A, payload.length]), payload])); // Pong
+            } else if (opcode === 0x1) {
+                try {
+                    handleMessage(client, JSON.parse(payload.toString()));
+                } catch (err) {
+                    console.error(`#${client.id} sent a bad message:`, err.message);
+                }
+            }
+        });
+    });
+    socket.on('close', () => leave(client));
+    socket.on('error', () => socket.destroy());
+}
+
+const [certPath, keyPath] = process.argv.slice(3);
+const secure = certPath && keyPath;
+const server = secure
+    ? https.createServer({ cert: fs.readFileSync(certPath), key: fs.readFileSync(keyPath) }, serveFile)
+    : http.createServer(serveFile);
+
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+    const scheme = secure ? 'https' : 'http';
+    console.log(`Jam relay on ${scheme}://localhost:${PORT}`);
+    Object.values(os.networkInterfaces()).flat()
+        .filter(net => net.family === 'IPv4' && !net.internal)
+        .forEach(net => console.log(`  ${scheme}://${net.address}:${PORT}`));
+});
@@ -0,0 +1,556 @@
+// AudioWorklet looper core - owns the stereo loop buffers, records sample-accurately
+// and plays back at any (including negative) rate through the glitch engine.
+// Loaded with audioCtx.audioWorklet.addModule('./looper-processor.js')
+
+// Glitch engine - stutters, slice jumps, buffer repeats and bit-crushing
+// driven by a single 0-1 intensity value
+const GLITCH_GRAIN_SECONDS = 0.125;   // Events are decided on a 1/8 second grid
+const GLITCH_HISTORY_SECONDS = 2;     // How much recent output we keep for repeats
+const GLITCH_FADE_SAMPLES = 128;      // Dry/wet crossfade to avoid clicks on event edges
+const GLITCH_SLICES = 16;             // Loop is cut into this many slices for jumps
+
+class GlitchEngine {
+    constructor(sampleRate, channelCount) {
+        this.sampleRate = sampleRate;
+        this.grainLength = Math.round(sampleRate * GLITCH_GRAIN_SECONDS);
+        this.historyLength = Math.round(sampleRate * GLITCH_HISTORY_SECONDS);
+        this.history = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            this.history.push(new Float32Array(this.historyLength));
+        }
+        this.historyPosition = 0;
+
+        // Current event: 'none' | 'stutter' | 'repeat' | 'slice'
+        this.event = 'none';
+        this.eventRemaining = 0;
+        this.segmentStart = 0;
+        this.segmentLength = 0;
+        this.segmentPosition = 0;
+        this.slicePosition = 0;
+        this.wetMix = 0;
+
+        // Sample-and-hold state for sample-rate reduction
+        this.holdValues = new Float32Array(channelCount);
+        this.holdCounter = 0;
+    }
+
+    // Pick the next event at a grain boundary - higher intensity means more
+    // frequent and more destructive events
+    chooseEvent(intensity, stutterRate, regionLength) {
+        if (Math.random() > intensity * 0.8) {
+            this.event = 'none';
+            this.eventRemaining = this.grainLength;
+            return;
+        }
+
+        const roll = Math.random();
+        const historyLength = this.historyLength;
+
+        if (roll < 0.45) {
+            // Retrigger stutter: loop a tiny slice of what just played
+            this.event = 'stutter';
+            this.segmentLength = Math.max(64, Math.round(this.sampleRate / stutterRate));
+            this.eventRemaining = this.grainLength * (1 + Math.floor(Math.random() * 2));
+        } else if (roll < 0.75 && regionLength > 0) {
+            // Slice jump: play a random slice from elsewhere in the loop region
+            this.event = 'slice';
+            const sliceLength = Math.floor(regionLength / GLITCH_SLICES);
+            this.slicePosition = Math.floor(Math.random() * GLITCH_SLICES) * sliceLength;
+            this.eventRemaining = this.grainLength;
+        } else {
+            // Buffer repeat: replay the last grain once more
+            this.event = 'repeat';
+            this.segmentLength = this.grainLength;
+            this.eventRemaining = this.grainLength;
+        }
+
+        this.segmentStart = (this.historyPosition - this.segmentLength + historyLength) % historyLength;
+        this.segmentPosition = 0;
+    }
+
+    // Events are shared across channels so the stereo image glitches as one. Slices come
+    // from the playback region (regionStart for regionLength frames of loopData)
+    process(inputs, outputs, intensity, stutterRate, loopData, regionStart, regionLength) {
+        const historyLength = this.historyLength;
+        const fadeStep = 1 / GLITCH_FADE_SAMPLES;
+
+        // Bit depth drops from 16 to 4 bits, sample rate divides by up to 16
+        const crushAmount = Math.max(0, (intensity - 0.2) / 0.8);
+        const bitSteps = Math.pow(2, 16 - crushAmount * 12);
+        const holdSamples = 1 + Math.floor(crushAmount * 15);
+
+        for (let i = 0; i < inputs[0].length; i++) {
+            if (this.eventRemaining <= 0) {
+                this.chooseEvent(intensity, stutterRate, regionLength);
+            }
+
+            const targetMix = this.event === 'none' ? 0 : 1;
+            if (this.wetMix < targetMix) this.wetMix = Math.min(targetMix, this.wetMix + fadeStep);
+            if (this.wetMix > targetMix) this.wetMix = Math.max(targetMix, this.wetMix - fadeStep);
+
+            const hold = crushAmount > 0 && this.holdCounter <= 0;
+            const segmentIndex = (this.segmentStart + this.segmentPosition) % historyLength;
+
+            for (let channel = 0; channel < inputs.length; channel++) {
+                const dry = inputs[channel][i];
+                const history = this.history[channel];
+
+                let wet = 0;
+                if (this.event === 'stutter' || this.event === 'repeat') {
+                    wet = history[segmentIndex];
+                } else if (this.event === 'slice') {
+                    wet = loopData[channel][regionStart + this.slicePosition % regionLength];
+                }
+
+                // Only store the dry signal so stutters don't feed on themselves
+                history[this.historyPosition] = dry;
+
+                let sample = dry * (1 - this.wetMix) + wet * this.wetMix;
+
+                if (crushAmount > 0) {
+                    if (hold) this.holdValues[channel] = Math.round(sample * bitSteps) / bitSteps;
+                    sample = this.holdValues[channel];
+                }
+
+                outputs[channel][i] = sample;
+            }
+
+            if (this.event === 'stutter' || this.event === 'repeat') {
+                this.segmentPosition = (this.segmentPosition + 1) % this.segmentLength;
+            } else if (this.event === 'slice') {
+                this.slicePosition++;
+            }
+            this.eventRemaining--;
+            this.historyPosition = (this.historyPosition + 1) % historyLength;
+
+            if (crushAmount > 0) {
+                if (hold) this.holdCounter = holdSamples;
+                this.holdCounter--;
+            }
+        }
+    }
+}
+
+const LOOPER_CHANNELS = 2;
+const POSITION_INTERVAL = 2048; // Frames between playhead reports to the main thread
+
+class LooperProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'playbackRate', defaultValue: 1, minValue: -4, maxValue: 4, automationRate: 'k-rate' },
+            { name: 'glitchIntensity', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'stutterRate', defaultValue: 4, minValue: 1, maxValue: 64, automationRate: 'k-rate' },
+            { name: 'feedback', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor(options) {
+        super();
+        const maxLength = options.processorOptions.maxLength;
+
+        this.buffers = [];
+        for (let channel = 0; channel < LOOPER_CHANNELS; channel++) {
+            this.buffers.push(new Float32Array(maxLength));
+        }
+        this.writePosition = 0;
+        this.recordedLength = 0;
+        this.readPosition = 0;
+        this.isRecording = false;
+        this.isPlaying = false;
+        this.isOverdubbing = false;
+        this.overdubLast = new Float32Array(LOOPER_CHANNELS); // Input at the previous sample, for the write ramp
+
+        // Playback region inside the recording, and the seam crossfade length
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.crossfade = 0;
+        this.positionCountdown = 0;
+
+        // Full-size buffers from the main thread that the next loop copy goes into, so the
+        // audio thread doesn't allocate. Undo layers are kept on the main thread from these copies
+        this.spare = null;
+
+        this.scheduled = [];
+        this.recordStartFrame = 0;
+        this.disposed = false;
+
+        this.glitchEngine = new GlitchEngine(sampleRate, LOOPER_CHANNELS);
+        this.silence = new Float32Array(128);
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    // Commands with an atFrame in the future wait for that frame (clock-quantized transport)
+    handleMessage(message) {
+        if (message.atFrame !== undefined && message.atFrame > currentFrame) {
+            this.scheduled.push(message);
+            this.scheduled.sort((a, b) => a.atFrame - b.atFrame);
+            return;
+        }
+        this.runCommand(message, currentFrame);
+    }
+
+    runCommand(message, frame) {
+        switch (message.type) {
+            case 'record':
+                this.recordStartFrame = frame;
+                this.isPlaying = false;
+                this.isOverdubbing = false;
+                this.isRecording = true;
+                this.writePosition = 0;
+                this.recordedLength = 0;
+                this.postState();
+                break;
+            case 'stopRecording':
+                this.finishRecording();
+                break;
+            case 'play':
+                if (this.isRecording) this.finishRecording();
+                if (this.recordedLength === 0) {
+                    this.postState();
+                    break;
+                }
+                this.readPosition = this.loopStart;
+                this.isPlaying = true;
+                this.postState();
+                break;
+            case 'stop':
+                this.finishOverdub();
+                this.isPlaying = false;
+                this.postState();
+                break;
+            case 'clear':
+                this.scheduled = [];
+                this.isRecording = false;
+                this.isPlaying = false;
+                this.isOverdubbing = false;
+                this.writePosition = 0;
+                this.recordedLength = 0;
+                this.resetRegion();
+                this.postState();
+                break;
+            case 'load':
+                this.loadBuffer(message.channels, frame);
+                break;
+            case 'resize':
+                this.resize(message.channels, message.spare);
+                break;
+            case 'overdub':
+                this.startOverdub();
+                break;
+            case 'stopOverdub':
+                this.finishOverdub();
+                break;
+            case 'layer':
+                this.finishOverdub();
+                this.restoreLayer(message.channels);
+                break;
+            case 'spare':
+                if (message.channels[0].length === this.buffers[0].length) this.spare = message.channels;
+                break;
+            case 'region':
+                this.setRegion(message.start, message.end, message.crossfade);
+                break;
+            case 'dispose':
+                // Looper removed - let the node be garbage collected
+                this.disposed = true;
+                break;
+        }
+    }
+
+    resetRegion() {
+        this.loopStart = 0;
+        this.loopEnd = this.recordedLength;
+    }
+
+    // Clamp the requested region into the recording and pull the playhead inside it
+    setRegion(start, end, crossfade) {
+        if (this.recordedLength === 0) return;
+        this.loopStart = Math.max(0, Math.min(Math.floor(start), this.recordedLength - 1));
+        this.loopEnd = Math.max(this.loopStart + 1, Math.min(Math.floor(end), this.recordedLength));
+        this.crossfade = Math.max(0, Math.floor(crossfade || 0));
+        if (this.readPosition < this.loopStart || this.readPosition >= this.loopEnd) {
+            this.readPosition = this.loopStart;
+        }
+        this.postState();
+    }
+
+    finishRecording() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.recordedLength = this.writePosition;
+        this.resetRegion();
+
+        this.postLoopData('record');
+        this.postState();
+    }
+
+    // Replace the loop with imported audio (already decoded/resampled on the main thread).
+    // A mono file goes to both channels
+    loadBuffer(channels, frame) {
+        const length = Math.min(channels[0].length, this.buffers[0].length);
+        this.buffers.forEach((buffer, channel) => {
+            const data = channels[channel] || channels[0];
+            buffer.set(data.subarray(0, length));
+        });
+        this.recordedLength = length;
+        this.writePosition = length;
+        this.recordStartFrame = frame;
+        this.resetRegion();
+        this.readPosition = 0;
+        this.isRecording = false;
+        this.isOverdubbing = false;
+        this.postLoopData('load');
+        this.postState();
+    }
+
+    // Swap in new (main-thread allocated) buffers for a different max length, keeping
+    // as much of the loop as fits, along with a spare of the new size
+    resize(channels, spare) {
+        const length = Math.min(this.recordedLength, channels[0].length);
+        this.buffers.forEach((buffer, channel) => {
+            channels[channel].set(buffer.subarray(0, length));
+        });
+        this.buffers = channels;
+        this.spare = spare || null;
+
+        if (this.isRecording) {
+            this.writePosition = Math.min(this.writePosition, channels[0].length);
+            if (this.writePosition >= channels[0].length) this.finishRecording();
+        } else if (length < this.recordedLength) {
+            this.recordedLength = length;
+            this.writePosition = length;
+            this.loopEnd = Math.min(this.loopEnd, length);
+            this.loopStart = Math.min(this.loopStart, Math.max(0, this.loopEnd - 1));
+            if (this.readPosition >= this.loopEnd) this.readPosition = this.loopStart;
+            this.postLoopData('layer');
+        }
+        this.postState();
+    }
+
+    startOverdub() {
+        if (this.recordedLength === 0 || this.isRecording || this.isOverdubbing) return;
+
+        this.isOverdubbing = true;
+        this.overdubLast.fill(0);
+        if (!this.isPlaying) {
+            this.readPosition = this.loopStart;
+            this.isPlaying = true;
+        }
+        this.postState();
+    }
+
+    finishOverdub() {
+        if (!this.isOverdubbing) return;
+        this.isOverdubbing = false;
+        this.postLoopData('overdub');
+        this.postState();
+    }
+
+    // Undo/redo - the main thread sends a layer it kept; it already has the data, so the
+    // same arrays go straight back instead of a fresh copy
+    restoreLayer(channels) {
+        const length = Math.min(channels[0].length, this.buffers[0].length);
+        this.buffers.forEach((buffer, channel) => buffer.set(channels[channel].subarray(0, length)));
+        if (length !== this.recordedLength) {
+            this.recordedLength = length;
+            this.writePosition = length;
+            this.resetRegion();
+            if (this.readPosition >= this.loopEnd) this.readPosition = this.loopStart;
+        }
+        this.port.postMessage({
+            type: 'recorded',
+            reason: 'layer',
+            length,
+            startFrame: this.recordStartFrame,
+            channels,
+            spare: false
+        }, channels.map(data => data.buffer));
+        this.postState();
+    }
+
+    // Send a copy to the main thread so it can display/export the loop (and keep it as an
+    // undo layer). The copy goes into the spare buffers, which the main thread hands back
+    // once it has taken what it needs; allocating only happens if it hasn't yet
+    postLoopData(reason) {
+        let channels = this.spare;
+        this.spare = null;
+        if (!channels) channels = this.buffers.map(buffer => new Float32Array(buffer.length));
+        channels.forEach((data, channel) => data.set(this.buffers[channel].subarray(0, this.recordedLength)));
+        this.port.postMessage({
+            type: 'recorded',
+            reason,
+            length: this.recordedLength,
+            startFrame: this.recordStartFrame,
+            channels,
+            spare: true
+        }, channels.map(data => data.buffer));
+    }
+
+    postState() {
+        this.port.postMessage({
+            type: 'state',
+            isRecording: this.isRecording,
+            isPlaying: this.isPlaying,
+            isOverdubbing: this.isOverdubbing,
+            recordedLength: this.recordedLength,
+            loopStart: this.loopStart,
+            loopEnd: this.loopEnd
+        });
+    }
+
+    record(inputs, start, end) {
+        const remaining = this.buffers[0].length - this.writePosition;
+        const copyLength = Math.min(end - start, remaining);
+        this.buffers.forEach((buffer, channel) => {
+            buffer.set(inputs[channel].subarray(start, start + copyLength), this.writePosition);
+        });
+        this.writePosition += copyLength;
+
+        if (this.writePosition >= this.buffers[0].length) {
+            this.finishRecording();
+        }
+    }
+
+    // Linear-interpolated read that wraps inside the loop region in both directions.
+    // While overdubbing the input is summed in and the old material scaled by feedback
+    play(outputs, start, end, rate, inputs, feedback) {
+        const loopStart = this.loopStart;
+        const regionLength = this.loopEnd - loopStart;
+        for (let i = start; i < end; i++) {
+            for (let channel = 0; channel < this.buffers.length; channel++) {
+                const buffer = this.buffers[channel];
+                outputs[channel][i] = this.readSeam(buffer, this.readPosition);
+
+                if (this.isOverdubbing) {
+                    this.overdubSample(buffer, channel, inputs[channel][i], rate, feedback);
+                }
+            }
+
+            // A region shorter than one step (4x over a few samples) can be crossed more than once
+            this.readPosition += rate;
+            if (this.readPosition < loopStart || this.readPosition >= this.loopEnd) {
+                this.readPosition = loopStart + ((this.readPosition - loopStart) % regionLength + regionLength) % regionLength;
+            }
+        }
+    }
+
+    // Write every loop sample the playhead crossed since the last output sample, ramping
+    // from the last input to this one - once per sample at any speed, in either direction.
+    // At 1x that's just the sample under the playhead
+    overdubSample(buffer, channel, input, rate, feedback) {
+        const last = this.overdubLast[channel];
+        this.overdubLast[channel] = input;
+        if (rate === 0) return;
+
+        const loopStart = this.loopStart;
+        const regionLength = this.loopEnd - loopStart;
+        const to = this.readPosition;
+        const from = to - rate;
+        const first = rate > 0 ? Math.floor(from) + 1 : Math.ceil(to);
+        const lastIndex = rate > 0 ? Math.floor(to) : Math.ceil(from) - 1;
+        for (let k = first; k <= lastIndex; k++) {
+            const index = loopStart + ((k - loopStart) % regionLength + regionLength) % regionLength;
+            const value = last + (input - last) * ((k - from) / rate);
+            buffer[index] = buffer[index] * feedback + value;
+        }
+    }
+
+    readAt(buffer, position) {
+        const index = Math.floor(position);
+        const frac = position - index;
+        let next = index + 1;
+        if (next === this.loopEnd) next = this.loopStart;
+        else if (next >= this.recordedLength) next = index;
+        return buffer[index] + (buffer[next] - buffer[index]) * frac;
+    }
+
+    // Crossfade the seam so the wrap doesn't click. Material from just before loopStart
+    // fades in over the end of the region; if the region starts at 0 the material after
+    // loopEnd fades out over its start instead. Either way the output is a continuous
+    // function of position, so it holds for reverse playback too
+    readSeam(buffer, position) {
+        const sample = this.readAt(buffer, position);
+        const regionLength = this.loopEnd - this.loopStart;
+        const preFade = Math.min(this.crossfade, this.loopStart, regionLength);
+        if (preFade > 0) {
+            const into = position - (this.loopEnd - preFade);
+            if (into <= 0) return sample;
+            const weight = into / preFade;
+            return sample * (1 - weight) + this.readAt(buffer, position - regionLength) * weight;
+        }
+
+        const postFade = Math.min(this.crossfade, this.recordedLength - this.loopEnd, regionLength);
+        if (postFade > 0) {
+            const into = position - this.loopStart;
+            if (into >= postFade) return sample;
+            const weight = 1 - into / postFade;
+            return sample * (1 - weight) + this.readAt(buffer, position + regionLength) * weight;
+        }
+        return sample;
+    }
+
+    // Report where the playhead is so the main thread can draw it
+    reportPosition(frames) {
+        this.positionCountdown -= frames;
+        if (this.positionCountdown > 0) return;
+        this.positionCountdown = POSITION_INTERVAL;
+        this.port.postMessage({ type: 'position', position: this.readPosition, frame: currentFrame });
+    }
+
+    process(inputs, outputs, parameters) {
+        // An unconnected input still records (silence) so loop lengths stay honest.
+        // The node is explicitly stereo, so a connected input always has both channels
+        const input = [];
+        for (let channel = 0; channel < LOOPER_CHANNELS; channel++) {
+            input.push(inputs[0][channel] || this.silence);
+        }
+        const output = outputs[0];
+        const frames = output[0].length;
+        const rate = parameters.playbackRate[0];
+        const feedback = parameters.feedback[0];
+        let played = false;
+
+        // Split the render quantum at any scheduled commands so they land on their exact frame
+        let start = 0;
+        while (start < frames) {
+            let end = frames;
+            const next = this.scheduled[0];
+            if (next) {
+                const offset = next.atFrame - currentFrame;
+                if (offset <= start) {
+                    this.scheduled.shift();
+                    this.runCommand(next, currentFrame + start);
+                    continue;
+                }
+                end = Math.min(end, offset);
+            }
+
+            if (this.isRecording) {
+                this.record(input, start, end);
+            }
+            if (this.isPlaying && this.recordedLength > 0) {
+                this.play(output, start, end, rate, input, feedback);
+                played = true;
+            }
+            start = end;
+        }
+
+        if (played) {
+            this.reportPosition(frames);
+            this.glitchEngine.process(
+                output,
+                output,
+                parameters.glitchIntensity[0],
+                parameters.stutterRate[0],
+                this.buffers,
+                this.loopStart,
+                this.loopEnd - this.loopStart
+            );
+        }
+
+        return !this.disposed;
+    }
+}
+
+registerProcessor('looper-processor', LooperProcessor);
@@ -0,0 +1,69 @@
+// Service worker - keeps the app playable with no network, fonts included.
+// Bump CACHE_VERSION whenever any of these files change so clients pick up the new copies
+const CACHE_VERSION = 'glitch-bliss-v2';
+const APP_ASSETS = [
+    './',
+    './index.html',
+    './engine.js',
+    './app.js',
+    './style.css?v=8', // Same URL as the <link> in index.html
+    './looper-processor.js',
+    './capture-processor.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+const FONT_STYLESHEET = 'https://fonts.googleapis.com/css?family=Press+Start+2P|VT323';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// The font files are only named inside the stylesheet - cache it, then what it points at
+function cacheFonts(cache) {
+    return fetch(FONT_STYLESHEET).then(response => {
+        if (!response.ok) throw new Error(`Font stylesheet returned ${response.status}`);
+        return cache.put(FONT_STYLESHEET, response.clone()).then(() => response.text());
+    }).then(css => {
+        const urls = Array.from(css.matchAll(/url\((https:[^)]+)\)/g), match => match[1]);
+        return cache.addAll(urls);
+    });
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => {
+        // Without fonts the app still works (in a fallback font), so that isn't fatal
+        return cache.addAll(APP_ASSETS).then(() => cacheFonts(cache).catch(err => {
+            console.warn("Fonts not cached:", err.message);
+        }));
+    }).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+    )).then(() => self.clients.claim()));
+});
+
+// Cached copy first so nothing waits on a venue's network; refresh it in the background
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== location.origin && !FONT_HOSTS.includes(url.hostname)) return;
+
+    event.respondWith(caches.open(CACHE_VERSION).then(cache => {
+        const navigate = request.mode === 'navigate';
+        return cache.match(request, { ignoreSearch: navigate }).then(cached => {
+            const network = fetch(request).then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            });
+
+            if (cached) {
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            return network.catch(err => {
+                if (navigate) return cache.match('./index.html');
+                throw err;
+            });
+        });
+    }));
+});
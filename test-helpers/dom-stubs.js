@@ -0,0 +1,273 @@
+// Just enough of a browser page to evaluate index.html's scripts under Node: elements that
+// remember what's set on them and take listeners, with no layout, audio or network.
+// Nothing starts - the start button, sensors, MIDI and the jam socket wait for a click
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class ClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    toggle(name, force) {
+        const on = force === undefined ? !this.names.has(name) : force;
+        if (on) this.names.add(name);
+        else this.names.delete(name);
+        return on;
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+}
+
+class Element {
+    constructor(tagName = 'div', id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.children = [];
+        this.options = [];
+        this.parentNode = null;
+        this.style = {};
+        this.dataset = {};
+        this.classList = new ClassList();
+        this.attributes = {};
+        this.listeners = {};
+        this.value = '';
+        this.textContent = '';
+        this.innerHTML = '';
+        this.title = '';
+        this.checked = false;
+        this.disabled = false;
+        this.hidden = false;
+        this.files = [];
+        this.width = 300;
+        this.height = 150;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener.call(this, event));
+        return true;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => {
+            if (typeof child === 'object') this.appendChild(child);
+        });
+    }
+
+    prepend(...children) {
+        this.append(...children);
+    }
+
+    insertBefore(child) {
+        return this.appendChild(child);
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        return child;
+    }
+
+    replaceChildren(...children) {
+        this.children = [];
+        this.append(...children);
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    // Selects hold their options
+    add(option) {
+        this.options.push(option);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    querySelector() {
+        return new Element();
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    closest() {
+        return null;
+    }
+
+    contains() {
+        return false;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height, right: this.width, bottom: this.height };
+    }
+
+    // Every 2D context call is a no-op
+    getContext() {
+        return new Proxy({}, {
+            get: (target, name) => name in target ? target[name] : () => ({ addColorStop() {} }),
+            set: (target, name, value) => {
+                target[name] = value;
+                return true;
+            }
+        });
+    }
+
+    focus() {}
+    blur() {}
+    click() {}
+    setPointerCapture() {}
+    releasePointerCapture() {}
+}
+
+class Option extends Element {
+    constructor(text = '', value = text) {
+        super('option');
+        this.text = text;
+        this.textContent = text;
+        this.value = value;
+    }
+}
+
+class Event {
+    constructor(type, init = {}) {
+        this.type = type;
+        Object.assign(this, init);
+    }
+
+    preventDefault() {}
+    stopPropagation() {}
+}
+
+class Storage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function createDocument() {
+    const byId = new Map();
+    const document = new Element('#document');
+    document.documentElement = new Element('html');
+    document.body = new Element('body');
+    document.head = new Element('head');
+    document.visibilityState = 'visible';
+    document.fullscreenElement = null;
+    document.exitFullscreen = () => Promise.resolve();
+    document.createElement = (tagName) => new Element(tagName);
+    document.getElementById = (id) => {
+        if (!byId.has(id)) byId.set(id, new Element('div', id));
+        return byId.get(id);
+    };
+    return document;
+}
+
+// Evaluate the scripts (paths from the repo root, in page order) in one window-like
+// context and return it. Timers are recorded, never run, so nothing outlives the test.
+// url is the page address; anything but https (or localhost) isn't a secure context
+function loadPage(scripts, url = 'https://localhost/') {
+    const pageUrl = new URL(url);
+    const redirects = [];
+    const errors = [];
+    const timers = [];
+    const window = {
+        console: {
+            log() {},
+            info() {},
+            warn() {},
+            error: (...args) => errors.push(args)
+        },
+        document: createDocument(),
+        localStorage: new Storage(),
+        location: {
+            protocol: pageUrl.protocol,
+            hostname: pageUrl.hostname,
+            host: pageUrl.host,
+            href: pageUrl.href,
+            search: pageUrl.search,
+            replace: (href) => redirects.push(href)
+        },
+        navigator: { onLine: true, userAgent: 'node', mediaDevices: {} },
+        screen: { orientation: { type: 'portrait-primary', lock: () => Promise.resolve(), unlock() {} } },
+        isSecureContext: pageUrl.protocol === 'https:' || pageUrl.hostname === 'localhost',
+        Option,
+        Event,
+        performance: { now: () => 0 },
+        alert: (message) => errors.push(['alert', message]),
+        setTimeout: (fn) => timers.push(fn),
+        clearTimeout() {},
+        setInterval: (fn) => timers.push(fn),
+        clearInterval() {},
+        requestAnimationFrame: (fn) => timers.push(fn),
+        cancelAnimationFrame() {},
+        errors,
+        timers,
+        redirects
+    };
+    window.window = window;
+    window.self = window;
+    Object.assign(window, {
+        addEventListener: Element.prototype.addEventListener,
+        removeEventListener: Element.prototype.removeEventListener,
+        dispatchEvent: Element.prototype.dispatchEvent,
+        listeners: {}
+    });
+
+    const context = vm.createContext(window);
+    scripts.forEach(script => {
+        const file = path.join(__dirname, '..', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadPage };
@@ -0,0 +1,288 @@
+// OfflineAudioContext stand-in so the engine and looper-processor.js run under Node.
+// Only what the engine touches is here: gain and constant-source nodes, AudioWorklet
+// modules (evaluated in a vm context with the worklet globals), k-rate AudioParams and
+// MessagePorts. Rendering is a pull through the graph one 128-frame quantum at a time.
+//
+// Port messages are delivered the way the audio thread would see them: node → processor
+// before the next quantum, processor → node after it. advance(seconds) is not part of
+// the Web Audio API - tests use it to render up to a point and then look at the state.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const RENDER_QUANTUM = 128;
+
+class AudioParam {
+    constructor(defaultValue) {
+        this.defaultValue = defaultValue;
+        this.value = defaultValue;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+        return this;
+    }
+}
+
+// Messages queue on the receiving side until the context delivers them
+class MessagePort {
+    constructor() {
+        this.onmessage = null;
+        this.other = null;
+        this.queue = [];
+    }
+
+    postMessage(data) {
+        this.other.queue.push(data);
+    }
+
+    deliver() {
+        const messages = this.queue;
+        this.queue = [];
+        messages.forEach(data => {
+            if (this.onmessage) this.onmessage({ data });
+        });
+    }
+}
+
+function createMessageChannel() {
+    const port1 = new MessagePort();
+    const port2 = new MessagePort();
+    port1.other = port2;
+    port2.other = port1;
+    return [port1, port2];
+}
+
+class AudioNode {
+    constructor(context) {
+        this.context = context;
+        this.sources = new Set();
+        this.renderedFrame = -1;
+        this.output = [new Float32Array(RENDER_QUANTUM)];
+        this.channelCount = 2;
+        this.channelCountMode = 'max';
+    }
+
+    connect(destination) {
+        destination.sources.add(this);
+        return destination;
+    }
+
+    disconnect(destination) {
+        if (destination) {
+            destination.sources.delete(this);
+        } else {
+            this.context.nodes.forEach(node => node.sources.delete(this));
+        }
+    }
+
+    // Sum everything connected, mixed to this node's channel count (mono is copied to both sides)
+    pullInput() {
+        const outputs = Array.from(this.sources, source => source.pull());
+        if (outputs.length === 0) return [];
+
+        const channels = this.channelCountMode === 'explicit'
+            ? this.channelCount
+            : Math.max(...outputs.map(output => output.length));
+        const input = [];
+        for (let channel = 0; channel < channels; channel++) {
+            const mixed = new Float32Array(RENDER_QUANTUM);
+            outputs.forEach(output => {
+                const data = output.length === 1 ? output[0] : output[channel];
+                if (!data) return;
+                for (let i = 0; i < RENDER_QUANTUM; i++) mixed[i] += data[i];
+            });
+            input.push(mixed);
+        }
+        return input;
+    }
+
+    // Render once per quantum however many nodes read this one
+    pull() {
+        if (this.renderedFrame !== this.context.currentFrame) {
+            this.renderedFrame = this.context.currentFrame;
+            this.output = this.render(this.pullInput());
+        }
+        return this.output;
+    }
+
+    render(input) {
+        return input.length > 0 ? input : [new Float32Array(RENDER_QUANTUM)];
+    }
+}
+
+class GainNode extends AudioNode {
+    constructor(context) {
+        super(context);
+        this.gain = new AudioParam(1);
+    }
+
+    render(input) {
+        return super.render(input).map(data => data.map(sample => sample * this.gain.value));
+    }
+}
+
+class ConstantSourceNode extends AudioNode {
+    constructor(context) {
+        super(context);
+        this.offset = new AudioParam(1);
+        this.started = false;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    stop() {
+        this.started = false;
+    }
+
+    render() {
+        return [new Float32Array(RENDER_QUANTUM).fill(this.started ? this.offset.value : 0)];
+    }
+}
+
+class AudioDestinationNode extends AudioNode {}
+
+class AudioWorkletNode extends AudioNode {
+    constructor(context, name, options = {}) {
+        super(context);
+        const Processor = context.processors[name];
+        if (!Processor) throw new Error(`AudioWorkletNode: '${name}' is not registered`);
+
+        this.channelCount = options.channelCount || 2;
+        this.channelCountMode = options.channelCountMode || 'max';
+        this.outputChannelCount = (options.outputChannelCount || [1])[0];
+        this.parameters = new Map((Processor.parameterDescriptors || [])
+            .map(descriptor => [descriptor.name, new AudioParam(descriptor.defaultValue)]));
+
+        const [port, processorPort] = createMessageChannel();
+        this.port = port;
+        context.pendingPort = processorPort;
+        this.processor = new Processor(options);
+        this.processorPort = processorPort;
+        this.alive = true;
+        context.track(this);
+        context.workletNodes.push(this);
+    }
+
+    render(input) {
+        const output = [];
+        for (let channel = 0; channel < this.outputChannelCount; channel++) {
+            output.push(new Float32Array(RENDER_QUANTUM));
+        }
+        if (!this.alive) return output;
+
+        const parameters = {};
+        this.parameters.forEach((param, name) => {
+            parameters[name] = new Float32Array([param.value]);
+        });
+        this.alive = this.processor.process([input], [output], parameters) !== false;
+        return output;
+    }
+}
+
+class OfflineAudioContext {
+    constructor(numberOfChannels, length, sampleRate) {
+        if (typeof numberOfChannels === 'object') {
+            ({ numberOfChannels = 1, length, sampleRate } = numberOfChannels);
+        }
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.currentFrame = 0;
+        this.state = 'suspended';
+        this.nodes = [];
+        this.workletNodes = [];
+        this.processors = {};
+        this.pendingPort = null;
+        this.rendered = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            this.rendered.push(new Float32Array(length));
+        }
+        this.destination = this.track(new AudioDestinationNode(this));
+        this.audioWorklet = { addModule: (url) => this.addModule(url) };
+    }
+
+    get currentTime() {
+        return this.currentFrame / this.sampleRate;
+    }
+
+    track(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createGain() {
+        return this.track(new GainNode(this));
+    }
+
+    createConstantSource() {
+        return this.track(new ConstantSourceNode(this));
+    }
+
+    // Run a processor file with the AudioWorkletGlobalScope globals it expects
+    addModule(url) {
+        const context = this;
+        const scope = {
+            console,
+            sampleRate: this.sampleRate,
+            registerProcessor: (name, Processor) => {
+                context.processors[name] = Processor;
+            },
+            AudioWorkletProcessor: class AudioWorkletProcessor {
+                constructor() {
+                    this.port = context.pendingPort;
+                }
+            }
+        };
+        Object.defineProperty(scope, 'currentFrame', { get: () => context.currentFrame });
+
+        return fs.promises.readFile(path.resolve(url), 'utf8').then(code => {
+            vm.runInContext(code, vm.createContext(scope), { filename: url });
+        });
+    }
+
+    resume() {
+        return Promise.resolve();
+    }
+
+    renderQuantum() {
+        this.workletNodes.forEach(node => node.processorPort.deliver());
+
+        // Worklet nodes process whether or not anything reaches the destination
+        const output = this.destination.pull();
+        this.workletNodes.forEach(node => node.pull());
+
+        const start = this.currentFrame;
+        const frames = Math.min(RENDER_QUANTUM, this.length - start);
+        this.rendered.forEach((data, channel) => {
+            const source = output.length === 1 ? output[0] : output[channel];
+            if (source && frames > 0) data.set(source.subarray(0, frames), start);
+        });
+        this.currentFrame += RENDER_QUANTUM;
+
+        this.workletNodes.forEach(node => node.port.deliver());
+    }
+
+    // Not Web Audio: render at least seconds more, a whole quantum at a time
+    advance(seconds) {
+        const end = this.currentFrame + Math.round(seconds * this.sampleRate);
+        while (this.currentFrame < end) this.renderQuantum();
+    }
+
+    startRendering() {
+        this.state = 'running';
+        while (this.currentFrame < this.length) this.renderQuantum();
+        this.state = 'closed';
+        return Promise.resolve({
+            length: this.length,
+            sampleRate: this.sampleRate,
+            numberOfChannels: this.numberOfChannels,
+            getChannelData: (channel) => this.rendered[channel]
+        });
+    }
+}
+
+module.exports = { OfflineAudioContext, AudioWorkletNode, RENDER_QUANTUM };
@@ -0,0 +1,28 @@
+// Smoke test for the UI - app.js has to get through its top level and every init
+// against a stubbed page, the way index.html loads it
+
+const assert = require('assert');
+const vm = require('vm');
+const { describe, it } = require('node:test');
+
+const { loadPage } = require('../test-helpers/dom-stubs.js');
+
+describe('app.js', () => {
+    it('loads and runs every init without throwing', () => {
+        const page = loadPage(['engine.js', 'app.js']);
+        assert.deepStrictEqual(page.errors, []);
+
+        // The last thing app.js sets up is the tempo-from-loop toggle
+        const toggle = page.document.getElementById('tempoFromLoopToggle');
+        assert.strictEqual(toggle.listeners.change.length, 1);
+
+        // Top-level const bindings aren't window properties, so ask the page itself
+        assert.ok(vm.runInContext('engine.mappings.length > 0', page));
+    });
+
+    it('moves plain http to https except on the local network', () => {
+        assert.deepStrictEqual(loadPage(['engine.js', 'app.js'], 'http://192.168.1.20:8787/').redirects, []);
+        assert.deepStrictEqual(loadPage(['engine.js', 'app.js'], 'http://glitch.example/').redirects,
+            ['https://glitch.example/']);
+    });
+});
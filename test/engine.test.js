@@ -0,0 +1,504 @@
+// Engine tests - run with `node --test` from the repo root.
+// looper-processor.js runs for real inside the OfflineAudioContext stand-in
+
+const assert = require('assert');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const {
+    createEngine,
+    mapToSpeed,
+    speedToNormalized,
+    shapeMappingValue,
+    createMapping,
+    PLAYBACK_SPEEDS,
+    LOOPER_MAX_SECONDS,
+    MAX_UNDO_LAYERS
+} = require('../engine.js');
+const { OfflineAudioContext, AudioWorkletNode } = require('../test-helpers/offline-audio-context.js');
+
+const SAMPLE_RATE = 8000; // Low so 30-second recordings render quickly
+const PROCESSOR = path.join(__dirname, '..', 'looper-processor.js');
+
+// An engine with one looper recording a constant 0.5 - easy to check in the buffers
+function setup(options = {}) {
+    const context = new OfflineAudioContext(2, SAMPLE_RATE * 60, SAMPLE_RATE);
+    const engine = createEngine(Object.assign({ AudioWorkletNode, moduleUrl: PROCESSOR }, options));
+    const events = [];
+    ['state', 'recorded', 'queued', 'tempo'].forEach(type => {
+        engine.on(type, (looper, detail) => events.push({ type, looper, detail }));
+    });
+
+    return engine.start(context).then(() => {
+        const source = context.createConstantSource();
+        source.offset.value = 0.5;
+        source.start();
+        const looper = engine.addLooper(source);
+        engine.startClock();
+        events.length = 0;
+        return { context, engine, looper, events };
+    });
+}
+
+function recordedEvents(events) {
+    return events.filter(event => event.type === 'recorded').map(event => event.detail);
+}
+
+describe('speed mapping', () => {
+    it('maps 0-1 onto the discrete speeds', () => {
+        assert.strictEqual(mapToSpeed(0), -4);
+        assert.strictEqual(mapToSpeed(0.5), 0.25);
+        assert.strictEqual(mapToSpeed(0.7), 1);
+        assert.strictEqual(mapToSpeed(0.99), 4);
+        assert.strictEqual(mapToSpeed(1), 4);
+    });
+
+    it('round-trips every speed through speedToNormalized', () => {
+        PLAYBACK_SPEEDS.forEach(speed => {
+            assert.strictEqual(mapToSpeed(speedToNormalized(speed)), speed);
+        });
+        assert.strictEqual(mapToSpeed(speedToNormalized(1.1)), 1);
+    });
+
+    it('shapes values through dead zone, inversion, curve and range', () => {
+        const mapping = { min: 0, max: 1, invert: false, curve: 'linear', deadZone: 0.2 };
+        assert.strictEqual(shapeMappingValue(mapping, 0.55), 0.5);
+        assert.strictEqual(shapeMappingValue(mapping, 1), 1);
+        assert.strictEqual(shapeMappingValue({ ...mapping, deadZone: 0, invert: true }, 0.25), 0.75);
+        assert.strictEqual(shapeMappingValue({ ...mapping, deadZone: 0, curve: 'exp' }, 0.5), 0.25);
+        assert.strictEqual(shapeMappingValue({ ...mapping, deadZone: 0, min: 0.5, max: 0.7 }, 1), 0.7);
+    });
+
+    it('normalizes orientation and motion readings', () => {
+        const engine = createEngine();
+        engine.setOrientation({ alpha: 180, beta: 0, gamma: 45 });
+        assert.deepStrictEqual(
+            [engine.sensorValues.alpha, engine.sensorValues.beta, engine.sensorValues.gamma],
+            [0.5, 0.5, 0.75]
+        );
+
+        engine.setMotion({ x: 30, y: 0, z: -15 });
+        assert.deepStrictEqual(
+            [engine.sensorValues.accelX, engine.sensorValues.accelY, engine.sensorValues.accelZ],
+            [1, 0.5, 0]
+        );
+    });
+
+    it('drives the worklet playback rate from a tilt', () => {
+        return setup().then(({ engine, looper }) => {
+            engine.setOrientation({ alpha: 0, beta: 0, gamma: 45 });
+            looper.setSpeed(engine.sensorValues.gamma);
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, 1.5);
+            assert.strictEqual(looper.node.parameters.get('playbackRate').value, 1.5);
+
+            engine.setOrientation({ alpha: 0, beta: 0, gamma: -90 });
+            looper.setSpeed(engine.sensorValues.gamma);
+            engine.tick();
+            assert.strictEqual(looper.node.parameters.get('playbackRate').value, -4);
+
+            looper.setSpeed(null);
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, 1);
+        });
+    });
+
+    it('holds an overridden speed whatever the tilt', () => {
+        return setup().then(({ engine, looper }) => {
+            looper.speedOverride = -0.5;
+            looper.setSpeed(1);
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, -0.5);
+        });
+    });
+
+    it('smooths the glitch level and speeds up stutters with it', () => {
+        return setup().then(({ engine, looper }) => {
+            looper.setGlitch(1);
+            engine.tick();
+            assert.ok(Math.abs(looper.glitchIntensity - 0.15) < 1e-9);
+            for (let i = 0; i < 100; i++) engine.tick();
+            assert.ok(looper.glitchIntensity > 0.99);
+            assert.ok(looper.stutterRate > 31);
+            assert.strictEqual(looper.node.parameters.get('glitchIntensity').value, looper.glitchIntensity);
+        });
+    });
+
+    it('drives looper speed from orientation through the default mappings', () => {
+        return setup().then(({ engine, looper }) => {
+            // Looper 1 has beta → speed: 90° is 0.75 of the range
+            engine.setOrientation({ alpha: 0, beta: 90, gamma: 0 });
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, mapToSpeed(0.75));
+            assert.strictEqual(looper.node.parameters.get('playbackRate').value, 1.5);
+
+            engine.mappings = engine.mappings.filter(m => m.target !== 'speed');
+            engine.setOrientation({ alpha: 0, beta: 90, gamma: 0 });
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, 1);
+        });
+    });
+
+    it('hands other targets and overrides to the client', () => {
+        const applied = [];
+        return setup({
+            mappingOverride: (looper, target, value) => target === 'speed' ? speedToNormalized(-2) : value,
+            applyTarget: (looper, target, value) => applied.push([target, value])
+        }).then(({ engine, looper }) => {
+            engine.mappings.push(createMapping('gamma', 'volume', 0));
+            engine.setOrientation({ alpha: 0, beta: 90, gamma: 45 });
+            engine.tick();
+            assert.strictEqual(looper.playbackRate, -2);
+            assert.deepStrictEqual(applied.find(([target]) => target === 'volume'), ['volume', 0.75]);
+            assert.deepStrictEqual(applied.find(([target]) => target === 'drive'), ['drive', null]);
+        });
+    });
+});
+
+describe('recording length', () => {
+    it('records every frame between record and stop', () => {
+        return setup().then(({ context, looper }) => {
+            looper.record();
+            context.advance(1);
+            const stopFrame = context.currentFrame;
+            looper.stopRecording();
+            context.advance(0.1);
+
+            assert.strictEqual(looper.isRecording, false);
+            assert.strictEqual(looper.recordedLength, stopFrame);
+            assert.strictEqual(looper.recordBufferData.length, 2);
+            assert.strictEqual(looper.recordBufferData[1].length, stopFrame);
+            assert.ok(looper.recordBufferData[0].every(sample => sample === 0.5));
+        });
+    });
+
+    it('stops by itself at the maximum length', () => {
+        return setup({ maxSeconds: 1 }).then(({ context, looper, events }) => {
+            looper.record();
+            context.advance(2);
+
+            assert.strictEqual(looper.isRecording, false);
+            assert.strictEqual(looper.isPlaying, false);
+            assert.strictEqual(looper.recordedLength, SAMPLE_RATE);
+            assert.deepStrictEqual(recordedEvents(events).map(message => message.reason), ['record']);
+        });
+    });
+
+    it('handles the 30-second overflow in the record callback', () => {
+        return setup().then(({ context, engine, looper, events }) => {
+            assert.strictEqual(engine.maxSeconds, LOOPER_MAX_SECONDS);
+            looper.record();
+            context.advance(LOOPER_MAX_SECONDS + 1);
+
+            const recorded = recordedEvents(events);
+            assert.strictEqual(recorded.length, 1);
+            assert.strictEqual(recorded[0].reason, 'record');
+            assert.strictEqual(recorded[0].length, LOOPER_MAX_SECONDS * SAMPLE_RATE);
+            assert.strictEqual(recorded[0].startFrame, 0);
+            assert.strictEqual(looper.recordedLength, LOOPER_MAX_SECONDS * SAMPLE_RATE);
+            assert.strictEqual(looper.loopEnd, LOOPER_MAX_SECONDS * SAMPLE_RATE);
+            assert.strictEqual(looper.isRecording, false);
+
+            // Still a usable loop afterwards (now, rather than on the bar the loop just set)
+            assert.strictEqual(looper.play(null), true);
+            context.advance(0.1);
+            assert.strictEqual(looper.isPlaying, true);
+        });
+    });
+
+    it('cuts loops down when the maximum shrinks', () => {
+        return setup().then(({ context, engine, looper }) => {
+            looper.record();
+            context.advance(2);
+            looper.stopRecording();
+            context.advance(0.1);
+
+            engine.setMaxSeconds(1);
+            context.advance(0.1);
+            assert.strictEqual(looper.recordedLength, SAMPLE_RATE);
+            assert.strictEqual(looper.recordBufferData[0].length, SAMPLE_RATE);
+        });
+    });
+
+    it('ends a recording that is already past a new, shorter maximum', () => {
+        return setup().then(({ context, engine, looper }) => {
+            looper.record();
+            context.advance(0.5);
+            engine.setMaxSeconds(0.25);
+            context.advance(0.1);
+            assert.strictEqual(looper.isRecording, false);
+            assert.strictEqual(looper.recordedLength, SAMPLE_RATE * 0.25);
+        });
+    });
+});
+
+describe('state transitions', () => {
+    it('goes through record, play, overdub, undo, stop and clear', () => {
+        return setup().then(({ context, engine, looper }) => {
+            // The first loop sets the tempo - keep every step immediate
+            engine.clock.quantize = 'off';
+            assert.strictEqual(looper.play(), false);
+            assert.strictEqual(looper.overdub(), false);
+
+            looper.record();
+            context.advance(0.1);
+            assert.strictEqual(looper.isRecording, true);
+
+            // PLAY while recording closes the loop and starts it straight away
+            looper.play();
+            context.advance(0.1);
+            assert.strictEqual(looper.isRecording, false);
+            assert.strictEqual(looper.isPlaying, true);
+            assert.ok(looper.recordedLength > 0);
+
+            assert.strictEqual(looper.overdub(), true);
+            context.advance(0.1);
+            assert.strictEqual(looper.isOverdubbing, true);
+            // The layer is the loop before the pass, kept once the pass is done
+            assert.strictEqual(looper.undoDepth, 0);
+
+            looper.stopOverdub();
+            context.advance(0.1);
+            assert.strictEqual(looper.isOverdubbing, false);
+            assert.strictEqual(looper.isPlaying, true);
+            assert.strictEqual(looper.undoDepth, 1);
+            assert.ok(looper.recordBufferData[0].some(sample => sample > 0.5));
+
+            looper.undo();
+            context.advance(0.1);
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [0, 1]);
+            assert.ok(looper.recordBufferData[0].every(sample => sample === 0.5));
+
+            looper.redo();
+            context.advance(0.1);
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [1, 0]);
+
+            looper.stop();
+            context.advance(0.1);
+            assert.strictEqual(looper.isPlaying, false);
+            assert.ok(looper.recordedLength > 0);
+
+            looper.clear();
+            assert.strictEqual(looper.recordedLength, 0);
+            context.advance(0.1);
+            assert.strictEqual(looper.recordedLength, 0);
+            assert.strictEqual(looper.recordBufferData, null);
+            assert.strictEqual(looper.play(), false);
+        });
+    });
+
+    it('undoes a pass that is still going and caps the undo layers', () => {
+        return setup().then(({ context, engine, looper }) => {
+            engine.clock.quantize = 'off';
+            looper.record();
+            context.advance(0.5);
+            looper.play();
+            context.advance(0.1);
+
+            looper.overdub();
+            context.advance(0.1);
+            looper.undo();
+            context.advance(0.1);
+            assert.strictEqual(looper.isOverdubbing, false);
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [0, 1]);
+            assert.ok(looper.recordBufferData[0].every(sample => sample === 0.5));
+
+            // Every pass keeps a layer, up to MAX_UNDO_LAYERS
+            for (let pass = 0; pass < MAX_UNDO_LAYERS + 2; pass++) {
+                looper.overdub();
+                context.advance(0.05);
+                looper.stopOverdub();
+                context.advance(0.05);
+            }
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [MAX_UNDO_LAYERS, 0]);
+        });
+    });
+
+    it('queues a second undo or redo until the first layer is back', () => {
+        return setup().then(({ context, engine, looper }) => {
+            engine.clock.quantize = 'off';
+            looper.record();
+            context.advance(0.5);
+            looper.play();
+            context.advance(0.1);
+            for (let pass = 0; pass < 2; pass++) {
+                looper.overdub();
+                context.advance(0.4);
+                looper.stopOverdub();
+                context.advance(0.05);
+            }
+            const peak = () => Math.max(...looper.recordBufferData[0]);
+            assert.ok(peak() > 1.25);
+
+            // Two taps inside one render quantum
+            looper.undo();
+            looper.undo();
+            context.advance(0.05);
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [0, 2]);
+            assert.ok(looper.recordBufferData[0].every(sample => sample === 0.5));
+
+            // Back one pass at a time
+            looper.redo();
+            context.advance(0.05);
+            assert.ok(Math.abs(peak() - 1) < 0.01);
+            looper.redo();
+            context.advance(0.05);
+            assert.deepStrictEqual([looper.undoDepth, looper.redoDepth], [2, 0]);
+            assert.ok(peak() > 1.25);
+        });
+    });
+
+    it('keeps the playhead inside a region shorter than one step', () => {
+        return setup().then(({ context, engine, looper }) => {
+            engine.clock.quantize = 'off';
+            looper.record();
+            context.advance(0.5);
+            looper.play();
+            looper.setRegion(100, 102);
+            looper.setSpeed(speedToNormalized(4));
+            engine.tick();
+            context.advance(0.6);
+
+            const position = looper.playhead.position;
+            assert.ok(position >= 100 && position < 102, `${position}`);
+        });
+    });
+
+    it('overdubs every loop sample once at speeds other than 1x', () => {
+        return setup().then(({ context, engine, looper }) => {
+            engine.clock.quantize = 'off';
+            looper.record();
+            context.advance(1);
+            looper.play();
+            context.advance(0.1);
+
+            [2, 0.5, -2].forEach(speed => {
+                looper.setSpeed(speedToNormalized(speed));
+                engine.tick();
+                const before = looper.recordBufferData[0];
+                looper.overdub();
+                context.advance(0.25);
+                looper.stopOverdub();
+                context.advance(0.05);
+
+                // One contiguous pass over the playhead's path - no gaps, nothing written twice
+                const written = looper.recordBufferData[0].filter((sample, i) => sample - before[i] > 0.25);
+                const expected = SAMPLE_RATE * 0.25 * Math.abs(speed);
+                assert.ok(Math.abs(written.length - expected) <= 2 * 128 * Math.abs(speed), `${speed}x: ${written.length}`);
+                assert.ok(looper.recordBufferData[0].every((sample, i) => sample - before[i] < 0.5001), `${speed}x`);
+            });
+        });
+    });
+
+    it('lets the first loop set the tempo and releases it once everything is cleared', () => {
+        return setup().then(({ context, engine, looper, events }) => {
+            looper.record();
+            context.advance(2.9);
+            looper.stopRecording();
+            context.advance(0.1);
+
+            const seconds = looper.recordedLength / SAMPLE_RATE;
+            assert.strictEqual(engine.clock.tempoLocked, true);
+            assert.ok(Math.abs(engine.clock.bpm - (4 * 60) / seconds) < 1e-9); // One bar
+            assert.strictEqual(engine.clock.startTime, 0);
+            assert.ok(events.some(event => event.type === 'tempo'));
+
+            // With the tempo set, the next loop doesn't change it
+            const second = engine.addLooper(looper.inputNode);
+            second.record(null);
+            context.advance(1);
+            second.stopRecording(null);
+            context.advance(0.1);
+            assert.ok(Math.abs(engine.clock.bpm - (4 * 60) / seconds) < 1e-9);
+
+            looper.clear();
+            assert.strictEqual(engine.clock.tempoLocked, true);
+            second.clear();
+            assert.strictEqual(engine.clock.tempoLocked, false);
+        });
+    });
+
+    it('queues transport to the next bar once the tempo is set', () => {
+        return setup().then(({ context, engine, looper, events }) => {
+            engine.setTempo(120); // Two seconds a bar
+            context.advance(0.5);
+
+            looper.record();
+            assert.deepStrictEqual(events.filter(event => event.type === 'queued').map(event => event.detail), ['record']);
+            context.advance(1);
+            assert.strictEqual(looper.isRecording, false);
+
+            context.advance(0.6);
+            assert.strictEqual(looper.isRecording, true);
+
+            looper.stopRecording();
+            context.advance(2.1);
+            const recorded = recordedEvents(events);
+            assert.strictEqual(recorded.length, 1);
+            assert.strictEqual(recorded[0].startFrame, 2 * SAMPLE_RATE);
+            assert.strictEqual(looper.recordedLength, 2 * SAMPLE_RATE); // Exactly one bar
+        });
+    });
+
+    it('acts immediately with quantize off or an explicit null time', () => {
+        return setup().then(({ context, engine, looper, events }) => {
+            engine.setTempo(120);
+            engine.clock.quantize = 'off';
+            looper.record();
+            context.advance(0.1);
+            assert.strictEqual(looper.isRecording, true);
+
+            engine.clock.quantize = 'bar';
+            looper.stopRecording(null);
+            context.advance(0.1);
+            assert.strictEqual(looper.isRecording, false);
+            assert.strictEqual(events.filter(event => event.type === 'queued').length, 0);
+        });
+    });
+
+    it('adds and removes loopers', () => {
+        return setup().then(({ context, engine, looper }) => {
+            const second = engine.addLooper();
+            assert.strictEqual(second.index, 1);
+            assert.strictEqual(engine.loopers.length, 2);
+
+            assert.strictEqual(engine.removeLooper(), second);
+            context.advance(0.1);
+            assert.deepStrictEqual(engine.loopers, [looper]);
+            assert.strictEqual(context.workletNodes[1].alive, false);
+        });
+    });
+});
+
+describe('glitch engine', () => {
+    it('takes slices from inside the loop region', () => {
+        return setup().then(({ context, engine, looper }) => {
+            engine.clock.quantize = 'off';
+            looper.node.connect(context.destination);
+
+            // 1 inside the region, silence around it - a slice from outside would be a grain of silence
+            const loop = new Float32Array(SAMPLE_RATE);
+            loop.fill(1, 2000, 4000);
+            looper.load([loop, loop.slice()]);
+            context.advance(0.05);
+            looper.setRegion(2000, 4000);
+            looper.play();
+            looper.setGlitch(1);
+            for (let i = 0; i < 100; i++) engine.tick();
+
+            // Past the 2s of history the stutters and repeats replay
+            context.advance(3);
+            const from = context.currentFrame - SAMPLE_RATE;
+            const output = context.rendered[0].subarray(from, context.currentFrame);
+
+            // Event edges dip briefly as the (empty) wet side fades out, never for a whole grain
+            let run = 0;
+            let longest = 0;
+            output.forEach(sample => {
+                run = sample < 0.5 ? run + 1 : 0;
+                longest = Math.max(longest, run);
+            });
+            assert.ok(longest < 128, `${longest}`);
+        });
+    });
+});